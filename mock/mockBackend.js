@@ -0,0 +1,480 @@
+// Local stand-in for the Instant Lite API (Confirm -> Status -> Presign),
+// served by the Vite dev server under /__mock so the app can run offline.
+// Pick the "Mock (local)" environment in the UI to use it.
+//
+//   POST /__mock/confirm            queue a report (scenario decided here)
+//   GET  /__mock/status?userPhone=&instantId=
+//   GET  /__mock/presign?s3Key=     (or userPhone + instantId)
+//   GET  /__mock/files/<s3Key>      the "S3 object": a generated sample PDF
+//   GET  /__mock/scenario           current scenario + the list
+//   POST /__mock/scenario           { "scenario": "<id>" }
+//
+// `mockFetch` serves the same routes in-process, for the UI tests.
+//
+// A report keeps the scenario that was active when it was confirmed, so
+// switching scenarios doesn't change jobs that are already polling.
+// `?scenario=<id>` on the Confirm URL overrides the global choice.
+// A Confirm repeating an earlier `idempotencyKey` gets the original report
+// back instead of a new one.
+
+import { Readable } from "node:stream";
+
+export const MOCK_PREFIX = "/__mock";
+
+// Longer than the app's MAX_WAIT_MS (2 min) so the "keep waiting?" prompt shows.
+const SLOW_RUN_MS = 150000;
+const PRESIGN_TTL_SECONDS = 900;
+const MOCK_PHONE = "9990000000";
+
+export const SCENARIOS = [
+  { id: "fast", label: "Fast success (~4s)" },
+  { id: "slow", label: "Slow run (2.5 min, past MAX_WAIT_MS)" },
+  { id: "failed", label: "Worker reports status: failed" },
+  { id: "http500", label: "Status answers HTTP 500" },
+  { id: "flaky", label: "Every 2nd Status call answers 502" },
+  { id: "okFalse", label: "Confirm answers ok:false" },
+  { id: "malformed", label: "Status answers malformed JSON" },
+  { id: "missingInstantId", label: "Confirm omits instantId" },
+  { id: "altCasing", label: "snake_case fields, upper-case status" },
+];
+
+const state = {
+  scenario: "fast",
+  jobs: new Map(), // instantId -> job
+  byIdempotencyKey: new Map(), // idempotencyKey -> instantId
+  counter: 0,
+};
+
+// ---- helpers ----
+
+function send(res, status, body, contentType = "application/json") {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  res.statusCode = status;
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Cache-Control", "no-store");
+  res.end(text);
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// A little latency so spinners and progress are visible.
+function delay() {
+  return new Promise((r) => setTimeout(r, 150 + Math.random() * 250));
+}
+
+function isScenario(id) {
+  return SCENARIOS.some((s) => s.id === id);
+}
+
+function defaultS3Key(userPhone, instantId) {
+  return `instant/${userPhone}/${instantId}.pdf`;
+}
+
+function amzDate(d) {
+  return d
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// Jobs the server has forgotten (it restarted) are treated as long finished.
+function findJob(instantId) {
+  return (
+    state.jobs.get(instantId) || {
+      scenario: "fast",
+      instantId,
+      userPhone: MOCK_PHONE,
+      s3Key: defaultS3Key(MOCK_PHONE, instantId),
+      title: `Mock report ${instantId}`,
+      questions: [],
+      startedAt: 0,
+    }
+  );
+}
+
+/** queued -> running -> done|failed, driven by elapsed time. */
+function jobProgress(job, now = Date.now()) {
+  const elapsed = now - job.startedAt;
+  const runMs = job.scenario === "slow" ? SLOW_RUN_MS : 4000;
+  if (elapsed < 1000) return { status: "queued", pct: 0, etaMs: runMs };
+  if (job.scenario === "failed" && elapsed >= 3000) {
+    return { status: "failed", pct: 60, etaMs: 0 };
+  }
+  if (elapsed < runMs) {
+    return {
+      status: "running",
+      pct: Math.round((elapsed / runMs) * 100),
+      etaMs: runMs - elapsed,
+    };
+  }
+  return { status: "done", pct: 100, etaMs: 0 };
+}
+
+const STAGES = ["Researching", "Writing sections", "Rendering charts", "PDF"];
+
+// ---- routes ----
+
+async function confirm(req, res, query) {
+  if (req.method !== "POST") {
+    return send(res, 405, { ok: false, error: "Use POST" });
+  }
+  const body = await readJson(req);
+  if (!body) return send(res, 400, { ok: false, error: "Body is not JSON" });
+
+  const override = query.get("scenario");
+  const scenario = isScenario(override) ? override : state.scenario;
+
+  if (scenario === "okFalse") {
+    return send(res, 200, {
+      ok: false,
+      error: `Employee ${body.employeeId || "?"} may not bypass (mock)`,
+    });
+  }
+
+  const key = typeof body.idempotencyKey === "string" && body.idempotencyKey;
+  const repeat = key && state.jobs.get(state.byIdempotencyKey.get(key));
+  if (repeat) return sendConfirmed(res, repeat);
+
+  const instantId = `mock${Date.now().toString(36)}${++state.counter}`;
+  const job = {
+    scenario,
+    instantId,
+    userPhone: MOCK_PHONE,
+    s3Key: defaultS3Key(MOCK_PHONE, instantId),
+    title: String(body.query || "Untitled report"),
+    questions: Array.isArray(body.questions) ? body.questions.map(String) : [],
+    startedAt: Date.now(),
+    statusCalls: 0,
+  };
+  state.jobs.set(instantId, job);
+  if (key) state.byIdempotencyKey.set(key, instantId);
+  return sendConfirmed(res, job);
+}
+
+function sendConfirmed(res, job) {
+  const { scenario, instantId } = job;
+  const createdAt = new Date(job.startedAt).toISOString();
+  if (scenario === "missingInstantId") {
+    return send(res, 200, { ok: true, userPhone: job.userPhone, createdAt });
+  }
+  if (scenario === "altCasing") {
+    return send(res, 200, {
+      ok: true,
+      user_phone: job.userPhone,
+      instant_id: instantId,
+      s3_key: job.s3Key,
+      status: "QUEUED",
+      created_at: createdAt,
+    });
+  }
+  return send(res, 200, {
+    ok: true,
+    userPhone: job.userPhone,
+    instantId,
+    s3Key: job.s3Key,
+    status: "queued",
+    title: job.title,
+    createdAt,
+  });
+}
+
+function status(req, res, query) {
+  const instantId = query.get("instantId");
+  if (!instantId || !query.get("userPhone")) {
+    return send(res, 400, {
+      ok: false,
+      error: "userPhone and instantId are required",
+    });
+  }
+  const job = findJob(instantId);
+
+  if (job.scenario === "http500") {
+    return send(res, 500, { message: "Internal server error" });
+  }
+  job.statusCalls = (job.statusCalls || 0) + 1;
+  if (job.scenario === "flaky" && job.statusCalls % 2 === 0) {
+    return send(res, 502, { message: "Bad Gateway" });
+  }
+  if (job.scenario === "malformed") {
+    return send(
+      res,
+      200,
+      "<html><body><h1>502 Bad Gateway</h1></body></html>",
+      "text/html"
+    );
+  }
+
+  const p = jobProgress(job);
+  const stage = STAGES[Math.min(STAGES.length - 1, Math.floor(p.pct / 25))];
+  const error =
+    p.status === "failed" ? "Chart renderer crashed (mock failure)" : "";
+
+  if (job.scenario === "altCasing") {
+    return send(res, 200, {
+      ok: true,
+      status: p.status.toUpperCase(),
+      s3_key: job.s3Key,
+      title: job.title,
+      progressPct: p.pct / 100,
+      step: stage,
+      eta_seconds: Math.ceil(p.etaMs / 1000),
+      details: error || undefined,
+    });
+  }
+  return send(res, 200, {
+    ok: true,
+    status: p.status,
+    s3Key: job.s3Key,
+    title: job.title,
+    subtitle: "Generated by the local mock backend",
+    progress: p.pct,
+    stage,
+    eta: Math.ceil(p.etaMs / 1000),
+    error: error || undefined,
+  });
+}
+
+function presign(req, res, query) {
+  const s3Key =
+    query.get("s3Key") ||
+    (query.get("userPhone") && query.get("instantId")
+      ? defaultS3Key(query.get("userPhone"), query.get("instantId"))
+      : "");
+  if (!s3Key) {
+    return send(res, 400, { ok: false, error: "s3Key is required" });
+  }
+
+  const url = new URL(
+    `${MOCK_PREFIX}/files/${encodeURIComponent(s3Key)}`,
+    `http://${req.headers.host}`
+  );
+  url.searchParams.set("X-Amz-Date", amzDate(new Date()));
+  url.searchParams.set("X-Amz-Expires", String(PRESIGN_TTL_SECONDS));
+
+  const instantId = s3Key.replace(/^.*\//, "").replace(/\.pdf$/, "");
+  if (findJob(instantId).scenario === "altCasing") {
+    return send(res, 200, { ok: true, presigned_url: url.toString() });
+  }
+  return send(res, 200, { ok: true, url: url.toString() });
+}
+
+function file(req, res, path) {
+  const s3Key = decodeURIComponent(path.slice("/files/".length));
+  const instantId = s3Key.replace(/^.*\//, "").replace(/\.pdf$/, "");
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(samplePdf(findJob(instantId)));
+}
+
+async function scenario(req, res) {
+  if (req.method === "POST") {
+    const body = await readJson(req);
+    if (!isScenario(body?.scenario)) {
+      return send(res, 400, { ok: false, error: "Unknown scenario" });
+    }
+    state.scenario = body.scenario;
+  }
+  return send(res, 200, {
+    ok: true,
+    scenario: state.scenario,
+    scenarios: SCENARIOS,
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://mock");
+  const path = url.pathname;
+
+  if (path === "/scenario") return scenario(req, res);
+  if (path.startsWith("/files/")) return file(req, res, path);
+
+  await delay();
+  if (path === "/confirm") return confirm(req, res, url.searchParams);
+  if (path === "/status") return status(req, res, url.searchParams);
+  if (path === "/presign") return presign(req, res, url.searchParams);
+  return send(res, 404, { ok: false, error: `No mock route for ${path}` });
+}
+
+/** Vite plugin: mounts the mock on the dev server only. */
+export default function mockBackend() {
+  return {
+    name: "rbr-mock-backend",
+    apply: "serve",
+    configureServer(server) {
+      server.middlewares.use(MOCK_PREFIX, (req, res) => {
+        handle(req, res).catch((e) =>
+          send(res, 500, { ok: false, error: e?.message || "Mock crashed" })
+        );
+      });
+    },
+  };
+}
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * The mock as a `fetch` function, no server involved: `input` is resolved
+ * against `base`, and anything outside MOCK_PREFIX is a network error.
+ * @returns {Promise<Response>}
+ */
+export function mockFetch(input, init = {}, base = "http://localhost/") {
+  const url = new URL(String(input?.url ?? input), base);
+  const { signal } = init;
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (!url.pathname.startsWith(`${MOCK_PREFIX}/`)) {
+    return Promise.reject(new TypeError(`Failed to fetch ${url}`));
+  }
+
+  const req = Readable.from(init.body ? [String(init.body)] : []);
+  req.method = (init.method || "GET").toUpperCase();
+  req.url = url.pathname.slice(MOCK_PREFIX.length) + url.search;
+  req.headers = { host: url.host };
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const headers = new Headers();
+    const res = {
+      statusCode: 200,
+      setHeader: (name, value) => headers.set(name, value),
+      end(body) {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(
+          new Response(body ?? null, { status: this.statusCode, headers })
+        );
+      },
+    };
+    handle(req, res).catch((e) =>
+      send(res, 500, { ok: false, error: e?.message || "Mock crashed" })
+    );
+  });
+}
+
+// ---- sample PDF ----
+
+// Deterministic per report, different across reports (useful for Diff view).
+function seededRandom(seed) {
+  let h = 2166136261;
+  for (const ch of seed) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+}
+
+function wrap(text, width = 88) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function pdfString(text) {
+  const ascii = text.replace(/[^\x20-\x7e]/g, "?");
+  return `(${ascii.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+function reportLines(job) {
+  const rand = seededRandom(job.instantId);
+  const pct = () => (5 + rand() * 20).toFixed(1);
+  const questions = job.questions.length
+    ? job.questions
+    : ["Market overview", "Key players", "Outlook"];
+
+  const lines = [
+    { text: job.title, size: 18 },
+    { text: `Mock report ${job.instantId}`, size: 10 },
+    { text: "" },
+  ];
+  questions.forEach((q, i) => {
+    lines.push({ text: `${i + 1}. ${q}`, size: 13 });
+    const body =
+      `This section answers the question above with placeholder analysis. ` +
+      `The segment grew ${pct()}% year on year, while the top three ` +
+      `players hold ${pct()}% of the market combined. Analysts expect ` +
+      `${pct()}% annual growth over the next five years, driven by ` +
+      `distribution reach and pricing.`;
+    wrap(body).forEach((text) => lines.push({ text, size: 11 }));
+    lines.push({ text: "" });
+  });
+  return lines;
+}
+
+/** A small valid multi-page PDF (Helvetica text only), as a Buffer. */
+function samplePdf(job) {
+  const pages = [];
+  let current = [];
+  let y = 780;
+  for (const line of reportLines(job)) {
+    const size = line.size || 11;
+    if (y - size * 1.4 < 60) {
+      pages.push(current);
+      current = [];
+      y = 780;
+    }
+    y -= size * 1.4;
+    if (line.text) {
+      current.push(
+        `BT /F1 ${size} Tf 56 ${y.toFixed(1)} Td ${pdfString(line.text)} Tj ET`
+      );
+    }
+  }
+  pages.push(current);
+
+  // 1 catalog, 2 page tree, 3 font, then a page + content object per page.
+  const objects = [];
+  const kids = pages.map((_, i) => `${4 + i * 2} 0 R`).join(" ");
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+  pages.forEach((ops, i) => {
+    const stream = ops.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 842] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`
+    );
+    objects.push(
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((obj, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((at) => {
+    out += `${String(at).padStart(10, "0")} 00000 n \n`;
+  });
+  out += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -1,9 +1,127 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useEffect,
+  useEffectEvent,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import "./App.css";
-
-// Polling behavior
-const MAX_WAIT_MS = 120000; // 2 minutes
-const POLL_EVERY_MS = 2500; // 2.5s
+import BatchPanel from "./components/BatchPanel";
+import BlindReview from "./components/BlindReview";
+import DiffView from "./components/DiffView";
+import EnvironmentPanel from "./components/EnvironmentPanel";
+import ExperimentPanel from "./components/ExperimentPanel";
+import HistoryTable from "./components/HistoryTable";
+import PdfPane from "./components/PdfPane";
+import NotificationSettings from "./components/NotificationSettings";
+import PerformanceDashboard from "./components/PerformanceDashboard";
+import QuestionsEditor from "./components/QuestionsEditor";
+import ReviewSummary from "./components/ReviewSummary";
+import TemplatePanel from "./components/TemplatePanel";
+import { newBatchId } from "./lib/batch";
+import { appendCall } from "./lib/callLog";
+import {
+  encodeShareHash,
+  linkMatchesPanes,
+  parseShareHash,
+  replaceHash,
+} from "./lib/deepLink";
+import {
+  buildPayload,
+  loadActiveProfileId,
+  loadProfiles,
+  missingEndpoints,
+  profileTag,
+  saveActiveProfileId,
+  saveProfiles,
+} from "./lib/environments";
+import {
+  bundleFileName,
+  createBundle,
+  downloadJson,
+  mergeImported,
+  parseBundle,
+} from "./lib/bundle";
+import {
+  buildPairs,
+  createExperiment,
+  loadExperiments,
+  nextPair,
+  recordVote,
+  saveExperiments,
+  validateExperiment,
+} from "./lib/experiments";
+import {
+  EMPTY_LAYOUT,
+  defaultPaneLayout,
+  loadPaneLayout,
+  movePane,
+  pinPane,
+  prunePanes,
+  savePaneLayout,
+  showFirst,
+  toggleMaximized,
+  unpinPane,
+} from "./lib/panes";
+import {
+  DEFAULT_QUERY,
+  nextSort,
+  pageCount,
+  pageSlice,
+  queryHistory,
+} from "./lib/historyQuery";
+import {
+  fallBackToLegacy,
+  findHistoryByInstantIds,
+  loadHistoryItem,
+  loadHistoryStore,
+  saveCallLogs,
+  syncHistory,
+} from "./lib/historyStore";
+import { clampConcurrency, createJobQueue } from "./lib/jobQueue";
+import { isUrlExpired, presignedUrlFields } from "./lib/presignedUrl";
+import {
+  clampLimits,
+  loadQuestionLimits,
+  saveQuestionLimits,
+  validateQuestions,
+} from "./lib/questions";
+import {
+  fillPlaceholders,
+  findVersion,
+  loadTemplates,
+  sameContent,
+  unfilledPlaceholders,
+} from "./lib/templates";
+import {
+  createReportClient,
+  defaultS3Key,
+  generateReport,
+  isAbortError,
+  isTerminalStatus,
+  newIdempotencyKey,
+  waitForReport,
+  withFragmentBuster,
+} from "./lib/reportClient";
+import { loadRubric, saveRubric } from "./lib/rubric";
+import {
+  isInBackground,
+  loadNotifySettings,
+  playChime,
+  saveNotifySettings,
+  setBadge,
+  showNotification,
+} from "./lib/notify";
+import { createScrollSync } from "./lib/scrollSync";
+import {
+  acquireJobLock,
+  createTabSync,
+  heldJobLocks,
+  jobLockKey,
+  mergeRemote,
+  stampUpdated,
+} from "./lib/tabSync";
+import { markTimings, statusMilestones } from "./lib/timings";
 
 const DEFAULT_QUESTIONS = [
   "What is the current market overview and market size, with recent trends?",
@@ -13,270 +131,1304 @@ const DEFAULT_QUESTIONS = [
   "What is the 3–5 year outlook with opportunities and recommendations?",
 ];
 
-const STORAGE_KEY = "rbr_instant_lab_history_v2";
+const CONCURRENCY_KEY = "rbr_instant_lab_concurrency";
 
-function loadHistory() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
-}
+// Call logs grow by one entry per poll; they are saved (and sent to the other
+// tabs) at most this often, plus whenever a job hands its lock on.
+const CALL_LOG_FLUSH_MS = 5000;
 
-function saveHistory(items) {
+function loadConcurrency() {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    return clampConcurrency(localStorage.getItem(CONCURRENCY_KEY) ?? undefined);
   } catch {
-    // ignore
+    return clampConcurrency();
   }
 }
 
-function nowIso() {
-  return new Date().toISOString();
+function newJobId() {
+  return `job-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
 }
 
-async function fetchJson(url, options) {
-  const res = await fetch(url, options);
-  const text = await res.text();
-  let data = {};
-  try {
-    data = text ? JSON.parse(text) : {};
-  } catch {
-    data = { raw: text };
-  }
-  return { res, data };
+function formatEta(seconds) {
+  return seconds >= 90
+    ? `~${Math.round(seconds / 60)} min left`
+    : `~${Math.max(1, Math.round(seconds))}s left`;
 }
 
-function buildErrorMessage(res, data, fallback) {
-  const base =
-    data?.error ||
-    data?.message ||
-    data?.details ||
-    (typeof data?.raw === "string" && data.raw.slice(0, 300)) ||
-    fallback;
-
-  return base || fallback || `HTTP ${res?.status || "error"}`;
+// Prefer the server's own stage/ETA when the Status API reports them.
+function statusMessage(st) {
+  const label =
+    st.stage ||
+    (st.status === "running"
+      ? "Generating content and charts…"
+      : "Queued… waiting for worker");
+  return st.etaSeconds != null
+    ? `${label} (${formatEta(st.etaSeconds)})`
+    : label;
 }
 
-// IMPORTANT: Use fragment buster only (never add query params to presigned URL)
-function withFragmentBuster(url) {
-  if (!url) return url;
-  const base = url.split("#")[0]; // strip existing fragment if any
-  return `${base}#ts=${Date.now()}`;
+function nowIso() {
+  return new Date().toISOString();
 }
 
 export default function App() {
-  // ENV (set these in Amplify env vars)
-  const CONFIRM_API = import.meta.env.VITE_CONFIRM_API;
-  const STATUS_API = import.meta.env.VITE_STATUS_API;
-  const PRESIGN_API = import.meta.env.VITE_PRESIGN_API;
+  // Backend profiles (seeded from Amplify env vars, editable at runtime)
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [profileId, setProfileId] = useState(() =>
+    loadActiveProfileId(profiles)
+  );
+  const activeProfile = profiles.find((p) => p.id === profileId) || profiles[0];
 
   const [topic, setTopic] = useState("FMCG market report India");
   const [questions, setQuestions] = useState(DEFAULT_QUESTIONS);
+  const [country, setCountry] = useState("India");
+  const [year, setYear] = useState(() => String(new Date().getFullYear()));
+  const [activeTemplate, setActiveTemplate] = useState(null);
+  const [questionLimits, setQuestionLimits] = useState(() =>
+    loadQuestionLimits()
+  );
+  const [showQuestionErrors, setShowQuestionErrors] = useState(false);
 
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [lastApiResponse, setLastApiResponse] = useState(null);
 
-  const [history, setHistory] = useState(() => loadHistory());
-  const [leftId, setLeftId] = useState(null);
-  const [rightId, setRightId] = useState(null);
+  // History lives in IndexedDB and arrives asynchronously.
+  const [history, setHistoryState] = useState([]);
+  const [historyReady, setHistoryReady] = useState(false);
+  const persistedRef = useRef([]);
+  const tabSyncRef = useRef(null);
+  // historyId -> release() for the job locks this tab holds (see lib/tabSync)
+  const jobLocksRef = useRef(new Map());
+  const releaseAfterSyncRef = useRef(new Set());
+  const claimingRef = useRef(new Set());
+  const followingRef = useRef(new Set()); // running in another tab
+  const statusChecksRef = useRef(new Map()); // historyId -> AbortController
+  const unsavedCallsRef = useRef(new Set()); // historyIds
+  const callFlushTimerRef = useRef(null);
+  const [historyQuery, setHistoryQuery] = useState(DEFAULT_QUERY);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [importNote, setImportNote] = useState("");
+  // The URL mirrors the comparison only after an incoming link was applied.
+  const [linkReady, setLinkReady] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // EMPTY_LAYOUT (by identity) means "nothing saved yet": once history has
+  // loaded, it's replaced with the two newest reports.
+  const [panes, setPanes] = useState(() => loadPaneLayout() || EMPTY_LAYOUT);
   const [leftHidden, setLeftHidden] = useState(false);
+  const [batchFilter, setBatchFilter] = useState("");
+  const [rubric, setRubric] = useState(() => loadRubric());
+  const [experiments, setExperiments] = useState(() => loadExperiments());
+  const [reviewingId, setReviewingId] = useState(null);
+  const [notifySettings, setNotifySettings] = useState(() =>
+    loadNotifySettings()
+  );
 
-  // Modal state
-  const [modalOpen, setModalOpen] = useState(false);
-  const [modalTitle, setModalTitle] = useState("Generating report…");
-  const [modalSub, setModalSub] = useState("Initializing…");
-  const [progressPct, setProgressPct] = useState(5);
+  // Compare panes follow each other's page/offset while locked
+  const [scrollSync] = useState(() => createScrollSync());
+  const [scrollLocked, setScrollLocked] = useState(true);
+  const [compareMode, setCompareMode] = useState("side"); // side | diff
+
+  // Job queue: every report gets its own poller + cancel handle
+  const [concurrency, setConcurrency] = useState(() => loadConcurrency());
+  const queueRef = useRef(null);
+  if (!queueRef.current) queueRef.current = createJobQueue({ concurrency });
+  const queue = queueRef.current;
+
+  // Inline per-row progress (transient, not persisted): { [historyId]: { pct, sub, creep } }
+  const [progress, setProgress] = useState({});
+
+  // One client per profile; an item always talks to the backend it came from.
+  const clients = useMemo(
+    () =>
+      new Map(
+        profiles.map((p) => [
+          p.id,
+          createReportClient({
+            confirmUrl: p.confirmUrl,
+            statusUrl: p.statusUrl,
+            presignUrl: p.presignUrl,
+          }),
+        ])
+      ),
+    [profiles]
+  );
 
-  // Avoid setState after unmount
-  const mountedRef = useRef(true);
+  // Items from before profiles existed belong to whichever one is active.
+  function profileFor(item) {
+    return profiles.find((p) => p.id === item?.profile?.id) || activeProfile;
+  }
 
-  // Poll cancel flag
-  const pollAbortRef = useRef({ aborted: false });
+  function clientFor(item) {
+    return clients.get(profileFor(item).id);
+  }
+
+  function profileReady(item) {
+    return !missingEndpoints(profileFor(item)).length;
+  }
 
   useEffect(() => {
-    mountedRef.current = true;
+    return () => queue.cancelAll();
+  }, [queue]);
+
+  useEffect(() => {
+    queue.setConcurrency(concurrency);
+    try {
+      localStorage.setItem(CONCURRENCY_KEY, String(concurrency));
+    } catch {
+      // ignore
+    }
+  }, [queue, concurrency]);
+
+  // Presigned-link refresh state: { [historyId]: { refreshing, error } }
+  const [linkState, setLinkState] = useState({});
+  const linkRefreshRef = useRef(new Map()); // historyId -> in-flight Promise
+  const deadlineRef = useRef(new Map()); // historyId -> keep-waiting resolver
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Smooth progress animation up to 92% for jobs waiting on the worker
+  const anyCreeping = Object.values(progress).some((p) => p.creep);
+  useEffect(() => {
+    if (!anyCreeping) return;
+    const timer = setInterval(() => {
+      setProgress((prev) => {
+        const next = {};
+        for (const [id, p] of Object.entries(prev)) {
+          next[id] =
+            p.creep && p.pct < 92 ? { ...p, pct: Math.min(92, p.pct + 1) } : p;
+        }
+        return next;
+      });
+    }, 900);
+    return () => clearInterval(timer);
+  }, [anyCreeping]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadHistoryStore()
+      .catch((err) => {
+        if (!cancelled) {
+          setError(
+            `Could not open the history database (${
+              err?.message || err
+            }). History is kept in localStorage for now, which holds far fewer reports.`
+          );
+        }
+        return fallBackToLegacy();
+      })
+      .then((stored) => {
+        if (cancelled) return;
+        persistedRef.current = stored;
+        // keep anything created while the store was loading
+        setHistoryState((prev) => {
+          const ids = new Set(prev.map((x) => x.id));
+          return [...prev, ...stored.filter((x) => !ids.has(x.id))];
+        });
+        setPanes((prev) =>
+          prev === EMPTY_LAYOUT ? defaultPaneLayout(stored) : prev
+        );
+        setHistoryReady(true);
+      });
     return () => {
-      mountedRef.current = false;
-      pollAbortRef.current.aborted = true;
+      cancelled = true;
     };
   }, []);
 
   useEffect(() => {
-    saveHistory(history);
-  }, [history]);
+    if (!historyReady) return;
+    const prev = persistedRef.current;
+    persistedRef.current = history;
+    // Job locks are handed on only once the final state is written, so a
+    // tab taking over doesn't start from a stale copy.
+    const releasing = [...releaseAfterSyncRef.current];
+    releaseAfterSyncRef.current.clear();
+
+    const prevById = new Map(prev.map((x) => [x.id, x]));
+    for (const item of history) {
+      if (item.calls && prevById.get(item.id)?.calls !== item.calls) {
+        unsavedCallsRef.current.add(item.id);
+      }
+    }
+    if (unsavedCallsRef.current.size && !callFlushTimerRef.current) {
+      callFlushTimerRef.current = setTimeout(flushCallLogs, CALL_LOG_FLUSH_MS);
+    }
+
+    syncHistory(prev, history)
+      .then((diff) => tabSyncRef.current?.publish(diff))
+      .catch((err) => {
+        setError(`Could not save history: ${err?.message || err}`);
+      })
+      .then(() => (releasing.length ? flushCallLogs() : null))
+      .finally(() => releasing.forEach(releaseJobLock));
+  }, [history, historyReady]);
+
+  // Writes the call logs changed since the last flush (see CALL_LOG_FLUSH_MS).
+  function flushCallLogs() {
+    clearTimeout(callFlushTimerRef.current);
+    callFlushTimerRef.current = null;
+    const ids = unsavedCallsRef.current;
+    if (!ids.size) return Promise.resolve();
+    unsavedCallsRef.current = new Set();
+    return saveCallLogs(persistedRef.current.filter((x) => ids.has(x.id)))
+      .then((calls) => tabSyncRef.current?.publish({ calls }))
+      .catch((err) => {
+        setError(`Could not save call logs: ${err?.message || err}`);
+      });
+  }
+
+  const flushCallLogsOnHide = useEffectEvent(flushCallLogs);
 
   useEffect(() => {
-    if (!history.length) return;
-    const sorted = [...history].sort(
-      (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
-    );
-    const first = sorted[0]?.id ?? null;
-    const second = sorted[1]?.id ?? null;
+    const onHide = () => flushCallLogsOnHide();
+    window.addEventListener("pagehide", onHide);
+    return () => window.removeEventListener("pagehide", onHide);
+  }, []);
 
-    setLeftId((prev) => prev ?? first);
-    setRightId((prev) => prev ?? second ?? first);
+  // Other tabs' writes are already in IndexedDB: merging them into
+  // persistedRef too keeps them from being written (and broadcast) again.
+  function applyRemoteHistory(diff) {
+    persistedRef.current = mergeRemote(persistedRef.current, diff);
+    setHistoryState((prev) => mergeRemote(prev, diff));
+  }
+
+  // Changes come as patches; one for an item this tab never got (it missed
+  // the item's first broadcast) is completed from the store.
+  const receiveRemoteHistory = useEffectEvent((diff) => {
+    applyRemoteHistory(diff);
+    const known = new Set(history.map((x) => x.id));
+    diff.patches
+      ?.filter((patch) => !known.has(patch.id))
+      .forEach(({ id }) =>
+        loadHistoryItem(id)
+          .then((item) => item && applyRemoteHistory({ puts: [item] }))
+          .catch(() => {})
+      );
+  });
+
+  const cancelFromOtherTab = useEffectEvent((historyId) => {
+    if (queue.cancel(historyId)) markCancelled(historyId);
+  });
+
+  useEffect(() => {
+    const sync = createTabSync({
+      onHistory: (diff) => receiveRemoteHistory(diff),
+      onCancel: (historyId) => cancelFromOtherTab(historyId),
+    });
+    tabSyncRef.current = sync;
+    return () => {
+      sync.close();
+      tabSyncRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    savePaneLayout(panes);
+  }, [panes]);
+
+  // Items can disappear under the grid (removed or cleared in another tab);
+  // their panes would still count towards MAX_PANES.
+  useEffect(() => {
+    if (!historyReady) return;
+    setPanes((prev) => prunePanes(prev, history));
+  }, [history, historyReady]);
+
+  const paneItems = useMemo(() => {
+    const byId = new Map(history.map((x) => [x.id, x]));
+    return panes.itemIds.map((id) => byId.get(id)).filter(Boolean);
+  }, [history, panes.itemIds]);
+  const maximizedItem = paneItems.find((x) => x.id === panes.maximized) || null;
+  const visiblePanes = maximizedItem ? [maximizedItem] : paneItems;
+
+  // Diff compares the first two panes; both PDFs must be readable right now
+  const [diffLeft, diffRight] = paneItems;
+  const diffReady =
+    !!diffLeft?.pdfUrl &&
+    !!diffRight?.pdfUrl &&
+    !isUrlExpired(diffLeft, now) &&
+    !isUrlExpired(diffRight, now);
+
+  const batches = useMemo(() => {
+    const byId = new Map();
+    for (const h of history) {
+      if (!h.batchId) continue;
+      const b = byId.get(h.batchId) || {
+        id: h.batchId,
+        name: h.batchName || h.batchId,
+        counts: {},
+        total: 0,
+      };
+      const st = String(h.status || "unknown").toLowerCase();
+      b.counts[st] = (b.counts[st] || 0) + 1;
+      b.total += 1;
+      byId.set(h.batchId, b);
+    }
+    return [...byId.values()];
   }, [history]);
 
-  const leftItem = useMemo(
-    () => history.find((x) => x.id === leftId) || null,
-    [history, leftId]
+  const activeBatch = batches.find((b) => b.id === batchFilter) || null;
+
+  // Reports of unrevealed experiments stay out of the table (their questions
+  // would give the variant away).
+  const blindIds = useMemo(
+    () => new Set(experiments.filter((e) => !e.revealed).map((e) => e.id)),
+    [experiments]
   );
-  const rightItem = useMemo(
-    () => history.find((x) => x.id === rightId) || null,
-    [history, rightId]
+  const visibleHistory = useMemo(
+    () =>
+      queryHistory(
+        history.filter(
+          (h) =>
+            !blindIds.has(h.experiment?.id) &&
+            (!activeBatch || h.batchId === activeBatch.id)
+        ),
+        historyQuery
+      ),
+    [history, activeBatch, blindIds, historyQuery]
   );
-
-  function updateQuestion(i, val) {
-    setQuestions((prev) => prev.map((q, idx) => (idx === i ? val : q)));
+  const historyPages = pageCount(visibleHistory.length);
+  const currentPage = Math.min(historyPage, historyPages);
+  const pageItems = pageSlice(visibleHistory, currentPage);
+  const statusOptions = useMemo(
+    () =>
+      [
+        ...new Set(history.map((h) => String(h.status || "").toLowerCase())),
+      ].filter(Boolean),
+    [history]
+  );
+  const filtersActive =
+    !!historyQuery.search ||
+    !!historyQuery.status ||
+    !!historyQuery.from ||
+    !!historyQuery.to;
+
+  function updateHistoryQuery(patch) {
+    setHistoryQuery((prev) => ({ ...prev, ...patch }));
+    setHistoryPage(1);
   }
+  const hiddenCount = useMemo(
+    () => history.filter((h) => blindIds.has(h.experiment?.id)).length,
+    [history, blindIds]
+  );
+
+  const reviewing = experiments.find((e) => e.id === reviewingId) || null;
+
+  const questionValidation = useMemo(
+    () => validateQuestions(questions, questionLimits),
+    [questions, questionLimits]
+  );
+
+  useEffect(() => {
+    saveQuestionLimits(questionLimits);
+  }, [questionLimits]);
+
+  useEffect(() => {
+    saveRubric(rubric);
+  }, [rubric]);
 
-  function ensureEnv() {
-    const missing = [];
-    if (!CONFIRM_API) missing.push("VITE_CONFIRM_API");
-    if (!STATUS_API) missing.push("VITE_STATUS_API");
-    if (!PRESIGN_API) missing.push("VITE_PRESIGN_API");
+  useEffect(() => {
+    saveExperiments(experiments);
+  }, [experiments]);
+
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveNotifySettings(notifySettings);
+  }, [notifySettings]);
+
+  useEffect(() => {
+    saveActiveProfileId(profileId);
+  }, [profileId]);
+
+  function ensureEnv(profile = activeProfile) {
+    const missing = missingEndpoints(profile);
     if (missing.length) {
       setError(
-        `Missing env var(s): ${missing.join(
+        `${profile.name} environment has no ${missing.join(
           ", "
-        )}. Add them in Amplify env vars and redeploy.`
+        )} URL. Set it under Environment (or in the Amplify env vars).`
       );
       return false;
     }
     return true;
   }
 
+  function saveProfile(next) {
+    setProfiles((prev) => prev.map((p) => (p.id === next.id ? next : p)));
+  }
+
+  // Every local change stamps `updatedAt`, which decides per item whose copy
+  // wins when tabs merge.
+  function setHistory(update) {
+    setHistoryState((prev) =>
+      stampUpdated(prev, typeof update === "function" ? update(prev) : update)
+    );
+  }
+
   function upsertHistoryItem(id, patch) {
     setHistory((prev) =>
       prev.map((x) => (x.id === id ? { ...x, ...patch } : x))
     );
   }
 
-  async function pollStatusUntilDone({ userPhone, instantId, historyId }) {
-    const startedAt = Date.now();
-    pollAbortRef.current.aborted = false;
+  const activeCount = Object.keys(progress).length;
 
-    if (!mountedRef.current) return null;
+  function setJobProgress(id, patch) {
+    setProgress((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  }
 
-    setModalOpen(true);
-    setModalTitle("Generating report…");
-    setModalSub("Queued. Starting worker…");
-    setProgressPct(8);
+  function clearJobProgress(id) {
+    setProgress((prev) => {
+      if (!(id in prev)) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
 
-    // Smooth progress animation up to 92%
-    const timer = setInterval(() => {
-      if (!mountedRef.current) return;
-      setProgressPct((p) => {
-        if (p >= 92) return p;
-        return Math.min(92, p + 1);
+  // Each item keeps its own request/response log (see lib/callLog).
+  function logCall(id, record) {
+    setHistory((prev) =>
+      prev.map((x) =>
+        x.id === id ? { ...x, calls: appendCall(x.calls, record) } : x
+      )
+    );
+  }
+
+  // Stage milestones for the performance dashboard (see lib/timings).
+  function stampTimings(id, milestones, at = nowIso()) {
+    setHistory((prev) =>
+      prev.map((x) => {
+        if (x.id !== id) return x;
+        const timings = markTimings(x.timings, milestones, at);
+        return timings === x.timings ? x : { ...x, timings };
+      })
+    );
+  }
+
+  // Callbacks shared by new and resumed jobs: mirror API progress into the
+  // history item + its inline progress bar.
+  function trackJob(historyId, fallbackTitle) {
+    return {
+      onCall: (record) => logCall(historyId, record),
+      onConfirmed: (confirmed) => {
+        holdInstantLock(historyId, confirmed.instantId);
+        stampTimings(historyId, [
+          "confirmedAt",
+          ...statusMilestones(confirmed.status),
+        ]);
+        upsertHistoryItem(historyId, {
+          title: confirmed.title || fallbackTitle,
+          userPhone: confirmed.userPhone,
+          instantId: confirmed.instantId,
+          status: confirmed.status,
+          s3Key: confirmed.s3Key,
+          apiResponse: confirmed.data,
+        });
+        setJobProgress(historyId, {
+          pct: 8,
+          sub: "Queued. Starting worker…",
+          creep: true,
+        });
+      },
+      onStatus: (st) => {
+        stampTimings(historyId, statusMilestones(st.status));
+        upsertHistoryItem(historyId, {
+          status: st.rawStatus,
+          statusResponse: st.data,
+          s3Key: st.s3Key,
+          title: st.title || undefined,
+          subtitle: st.subtitle || undefined,
+        });
+        // Real progress when the server sends it; the creep is the fallback.
+        setJobProgress(
+          historyId,
+          st.progress != null
+            ? {
+                sub: statusMessage(st),
+                pct: Math.max(8, Math.min(94, st.progress)),
+                creep: false,
+              }
+            : { sub: statusMessage(st), creep: true }
+        );
+      },
+      onRetry: ({ attempt, retries, delayMs, error }) => {
+        setJobProgress(historyId, {
+          sub: `${error.message}. Retrying in ${Math.ceil(
+            delayMs / 1000
+          )}s (${attempt}/${retries})…`,
+          creep: false,
+        });
+      },
+      onDeadline: ({ waitedMs, signal }) =>
+        askKeepWaiting(historyId, waitedMs, signal),
+      onPresigning: () => {
+        setJobProgress(historyId, {
+          pct: 95,
+          sub: "Finalizing… preparing download link",
+          creep: false,
+        });
+      },
+    };
+  }
+
+  // Pauses a poller that hit MAX_WAIT_MS until the row's "Keep waiting" /
+  // "Stop" buttons answer (see decideKeepWaiting).
+  function askKeepWaiting(historyId, waitedMs, signal) {
+    return new Promise((resolve) => {
+      deadlineRef.current.set(historyId, resolve);
+      signal?.addEventListener("abort", () => resolve(false), { once: true });
+      setJobProgress(historyId, {
+        decision: true,
+        creep: false,
+        sub: `Still running after ${Math.round(waitedMs / 1000)}s.`,
       });
-    }, 900);
+    }).then((keep) => {
+      deadlineRef.current.delete(historyId);
+      setJobProgress(historyId, {
+        decision: false,
+        creep: keep,
+        sub: keep ? "Still waiting for the worker…" : "Stopping…",
+      });
+      return keep;
+    });
+  }
 
+  function decideKeepWaiting(historyId, keep) {
+    deadlineRef.current.get(historyId)?.(keep);
+  }
+
+  function markCancelled(historyId) {
+    upsertHistoryItem(historyId, { status: "cancelled", error: "" });
+    clearJobProgress(historyId);
+    releaseAfterSyncRef.current.add(historyId);
+  }
+
+  // Aborts the job's in-flight fetch and stops its poller (or drops it from
+  // the queue if it hasn't started yet). A job running in another tab is
+  // asked to stop there.
+  function cancelJob(historyId) {
+    if (queue.cancel(historyId)) markCancelled(historyId);
+    else if (statusChecksRef.current.has(historyId)) {
+      statusChecksRef.current.get(historyId).abort();
+    } else if (followingRef.current.has(historyId)) {
+      tabSyncRef.current?.requestCancel(historyId);
+      setJobProgress(historyId, { sub: "Stopping…", creep: false });
+    }
+  }
+
+  function cancelAllJobs() {
+    Object.keys(progress).forEach(cancelJob);
+  }
+
+  async function settleJob(historyId, work) {
     try {
-      while (Date.now() - startedAt < MAX_WAIT_MS) {
-        if (!mountedRef.current) throw new Error("Page closed");
-        if (pollAbortRef.current.aborted) throw new Error("Polling aborted");
+      const result = await work;
+      upsertHistoryItem(historyId, {
+        status: "done",
+        error: "",
+        s3Key: result.s3Key,
+        ...presignedUrlFields(result.pdfUrl),
+        title: result.status.title || undefined,
+        subtitle: result.status.subtitle || undefined,
+      });
+      stampTimings(historyId, ["runningAt", "doneAt", "presignedAt"]);
+    } catch (e) {
+      if (isAbortError(e)) {
+        markCancelled(historyId);
+        return;
+      }
+      // Only a worker-reported failure (or never getting an instantId) is
+      // final; anything else leaves the item resumable via "Refresh status".
+      setHistory((prev) =>
+        prev.map((x) =>
+          x.id === historyId
+            ? {
+                ...x,
+                error: e?.message || "Server error",
+                status:
+                  e?.kind === "failed" || !x.instantId ? "failed" : x.status,
+              }
+            : x
+        )
+      );
+    } finally {
+      clearJobProgress(historyId);
+      releaseAfterSyncRef.current.add(historyId);
+    }
+  }
 
-        const url = new URL(STATUS_API);
-        url.searchParams.set("userPhone", userPhone);
-        url.searchParams.set("instantId", instantId);
+  function runReportJob(historyId, payload, client, signal) {
+    upsertHistoryItem(historyId, { status: "submitting", error: "" });
+    stampTimings(historyId, ["submittedAt"]);
+    setJobProgress(historyId, { pct: 5, sub: "Submitting request…" });
+
+    return settleJob(
+      historyId,
+      generateReport(client, payload, {
+        signal,
+        ...trackJob(historyId, payload.query),
+      })
+    );
+  }
 
-        const { res, data } = await fetchJson(url.toString(), {
-          method: "GET",
-          headers: { "Content-Type": "application/json" },
-        });
+  function resumeReportJob(historyId, ids, client, signal) {
+    upsertHistoryItem(historyId, { error: "" });
+    setJobProgress(historyId, {
+      pct: 8,
+      sub: "Resuming… checking status",
+      creep: true,
+    });
 
-        if (!mountedRef.current) throw new Error("Page closed");
+    return settleJob(
+      historyId,
+      waitForReport(client, ids, { signal, ...trackJob(historyId) })
+    );
+  }
 
-        setLastApiResponse(data);
+  function releaseJobLock(historyId) {
+    jobLocksRef.current.get(historyId)?.();
+    jobLocksRef.current.delete(historyId);
+  }
 
-        if (!res.ok || !data?.ok) {
-          throw new Error(buildErrorMessage(res, data, "Status check failed"));
+  // Only the tab holding an item's job lock submits and polls it; the others
+  // follow its progress through the broadcasts (see lib/tabSync).
+  function claimJob(item, start) {
+    const historyId = item.id;
+    if (
+      queue.has(historyId) ||
+      claimingRef.current.has(historyId) ||
+      followingRef.current.has(historyId)
+    ) {
+      return;
+    }
+    claimingRef.current.add(historyId);
+    acquireJobLock(jobLockKey(item))
+      .then((release) => {
+        if (!release) {
+          followOtherTab(item);
+          return;
         }
+        jobLocksRef.current.set(historyId, release);
+        start();
+      })
+      .finally(() => claimingRef.current.delete(historyId));
+  }
 
-        const status = String(data.status || "").toLowerCase();
-        const errMsg = data.error || data.details || "";
+  // Waits for the other tab to finish (or close), then carries on from the
+  // item as that tab last wrote it.
+  function followOtherTab({ id: historyId, instantId }) {
+    followingRef.current.add(historyId);
+    setJobProgress(historyId, {
+      pct: 8,
+      sub: "Running in another tab…",
+      creep: true,
+    });
+    acquireJobLock(jobLockKey({ id: historyId, instantId }), { wait: true })
+      .then(async (release) => {
+        const item = await loadHistoryItem(historyId).catch(() => null);
+        if (item) applyRemoteHistory({ puts: [item] });
+        followingRef.current.delete(historyId);
+        clearJobProgress(historyId);
+        takeOverJob(item, release);
+      })
+      .catch(() => {
+        followingRef.current.delete(historyId);
+        clearJobProgress(historyId);
+      });
+  }
 
-        upsertHistoryItem(historyId, {
-          status: data.status || "unknown",
-          statusResponse: data,
-          s3Key: data.s3Key || data.s3_key || "",
-          title: data.title || undefined,
-          subtitle: data.subtitle || undefined,
-        });
+  function takeOverJob(item, release) {
+    if (!item || !profileReady(item)) {
+      release();
+      return;
+    }
+    jobLocksRef.current.set(item.id, release);
+    holdInstantLock(item.id, item.instantId);
+    if (needsSubmit(item)) {
+      startSubmit(item.id, item.request, profileFor(item));
+    } else if (needsResume(item)) {
+      startResume(item);
+    } else if (!isTerminalStatus(item.status) && !item.instantId) {
+      markInterrupted([item.id]);
+      releaseAfterSyncRef.current.add(item.id);
+    } else {
+      releaseJobLock(item.id);
+    }
+  }
 
-        if (status === "done") {
-          setModalSub("Finalizing… preparing download link");
-          setProgressPct(95);
-          return data;
-        }
+  // A submit runs under its item's lock; once Confirm names the report, hold
+  // its instantId's lock too, so a tab that opens it by link follows along.
+  function holdInstantLock(historyId, instantId) {
+    if (!instantId) return;
+    const key = jobLockKey({ id: historyId, instantId });
+    acquireJobLock(key).then((release) => {
+      if (!release) return;
+      const held = jobLocksRef.current.get(historyId);
+      if (!held) {
+        release(); // the job already finished
+        return;
+      }
+      jobLocksRef.current.set(historyId, () => {
+        held();
+        release();
+      });
+    });
+  }
+
+  function resumeItem(item) {
+    claimJob(item, () => startResume(item));
+  }
+
+  function startResume(item) {
+    const ids = {
+      userPhone: item.userPhone,
+      instantId: item.instantId,
+      s3Key: item.s3Key,
+    };
+
+    const client = clientFor(item);
+
+    setJobProgress(item.id, { pct: 5, sub: "Waiting for a free slot…" });
+    queue
+      .enqueue(item.id, (signal) =>
+        resumeReportJob(item.id, ids, client, signal)
+      )
+      .catch(() => markCancelled(item.id));
+  }
+
+  // One-off Status call for a row; keeps polling if the report is unfinished.
+  async function refreshStatus(item) {
+    if (
+      !item.userPhone ||
+      !item.instantId ||
+      queue.has(item.id) ||
+      followingRef.current.has(item.id) ||
+      statusChecksRef.current.has(item.id)
+    ) {
+      return;
+    }
+    if (!ensureEnv(profileFor(item))) return;
 
-        if (status === "failed") {
-          throw new Error(errMsg || "Report generation failed");
+    // Cancel stops the check itself; there is no queued job yet.
+    const controller = new AbortController();
+    statusChecksRef.current.set(item.id, controller);
+    setJobProgress(item.id, { pct: 5, sub: "Checking status…" });
+    try {
+      const st = await clientFor(item).status(
+        { userPhone: item.userPhone, instantId: item.instantId },
+        {
+          signal: controller.signal,
+          onCall: (record) => logCall(item.id, record),
         }
+      );
+      upsertHistoryItem(item.id, {
+        status: st.rawStatus,
+        statusResponse: st.data,
+        s3Key: st.s3Key || item.s3Key,
+        title: st.title || undefined,
+        subtitle: st.subtitle || undefined,
+        error:
+          st.status === "failed" ? st.error || "Report generation failed" : "",
+      });
+      if (st.status !== "failed") resumeItem(item);
+      else clearJobProgress(item.id);
+    } catch (e) {
+      if (!isAbortError(e)) {
+        upsertHistoryItem(item.id, {
+          error: e?.message || "Status check failed",
+        });
+      }
+      clearJobProgress(item.id);
+    } finally {
+      statusChecksRef.current.delete(item.id);
+    }
+  }
 
-        setModalSub(
-          status === "running"
-            ? "Generating content and charts…"
-            : "Queued… waiting for worker"
-        );
+  // Re-presign an expired link from the stored s3Key. Resolves with the new
+  // URL (or null on failure); concurrent calls for one item share a request.
+  function refreshPdfLink(item) {
+    const inFlight = linkRefreshRef.current.get(item.id);
+    if (inFlight) return inFlight;
+
+    const ids = { userPhone: item.userPhone, instantId: item.instantId };
+    const s3Key =
+      item.s3Key || (ids.userPhone && ids.instantId ? defaultS3Key(ids) : "");
+    if (!s3Key || !profileFor(item).presignUrl) return Promise.resolve(null);
+
+    setLinkState((prev) => ({
+      ...prev,
+      [item.id]: { refreshing: true, error: "" },
+    }));
+
+    const work = clientFor(item)
+      .presign(
+        { ...ids, s3Key },
+        { onCall: (record) => logCall(item.id, record) }
+      )
+      .then(({ url }) => {
+        const fresh = withFragmentBuster(url);
+        upsertHistoryItem(item.id, { s3Key, ...presignedUrlFields(fresh) });
+        setLinkState((prev) => ({
+          ...prev,
+          [item.id]: { refreshing: false, error: "" },
+        }));
+        return fresh;
+      })
+      .catch((e) => {
+        setLinkState((prev) => ({
+          ...prev,
+          [item.id]: {
+            refreshing: false,
+            error: e?.message || "Presign failed",
+          },
+        }));
+        return null;
+      })
+      .finally(() => linkRefreshRef.current.delete(item.id));
+
+    linkRefreshRef.current.set(item.id, work);
+    return work;
+  }
 
-        await new Promise((r) => setTimeout(r, POLL_EVERY_MS));
+  // "Open" links: follow the stored URL unless it has expired, in which case
+  // open the tab right away (keeps the popup blocker happy) and point it at
+  // the re-presigned URL once we have it.
+  function openPdf(item, e) {
+    if (!isUrlExpired(item, Date.now())) return;
+    e.preventDefault();
+
+    const win = window.open("", "_blank");
+    refreshPdfLink(item).then((url) => {
+      if (!win) return;
+      if (url) win.location.href = url;
+      else win.close();
+    });
+  }
+
+  // Panes re-presign lazily: only items currently on screen are refreshed.
+  const reviewPair = reviewing ? nextPair(reviewing) : null;
+  const onScreenItems = reviewPair
+    ? history.filter((h) => h.id === reviewPair.a || h.id === reviewPair.b)
+    : paneItems;
+  const onScreenUrls = onScreenItems.map((x) => x.pdfUrl).join("|");
+
+  const refreshExpiredPanes = useEffectEvent(() => {
+    for (const item of onScreenItems) {
+      if (item && isUrlExpired(item, now) && !linkState[item.id]?.error) {
+        refreshPdfLink(item);
       }
+    }
+  });
+
+  useEffect(() => {
+    refreshExpiredPanes();
+  }, [onScreenUrls, now]);
+
+  // Never sent: safe to submit again from the stored payload.
+  function needsSubmit(h) {
+    return String(h.status).toLowerCase() === "pending" && Boolean(h.request);
+  }
+
+  function needsResume(h) {
+    return Boolean(
+      h.userPhone &&
+        h.instantId &&
+        (!isTerminalStatus(h.status) ||
+          (String(h.status).toLowerCase() === "done" && !h.pdfUrl))
+    );
+  }
+
+  // Possibly sent but never confirmed: re-running could duplicate it.
+  function markInterrupted(ids) {
+    if (!ids.length) return;
+    const set = new Set(ids);
+    setHistory((prev) =>
+      prev.map((x) =>
+        set.has(x.id)
+          ? {
+              ...x,
+              status: "failed",
+              error: "Interrupted before the request was confirmed.",
+            }
+          : x
+      )
+    );
+  }
 
-      throw new Error(
-        `Still running after ${Math.round(
-          MAX_WAIT_MS / 1000
-        )}s. Please wait and try again.`
+  // After a reload, pick up anything that was still in flight. Items whose
+  // job lock another tab holds (`held`) are still in flight there.
+  const resumeUnfinished = useEffectEvent((held) => {
+    const unsent = history.filter(
+      (h) => needsSubmit(h) && !queue.has(h.id) && profileReady(h)
+    );
+    unsent.forEach((h) => queueSubmit(h.id, h.request, profileFor(h)));
+
+    const unsentIds = new Set(unsent.map((h) => h.id));
+    const interrupted = history.filter(
+      (h) =>
+        !isTerminalStatus(h.status) &&
+        !h.instantId &&
+        !unsentIds.has(h.id) &&
+        !queue.has(h.id)
+    );
+    markInterrupted(
+      interrupted.filter((h) => !held.has(jobLockKey(h))).map((h) => h.id)
+    );
+    interrupted.filter((h) => held.has(jobLockKey(h))).forEach(followOtherTab);
+
+    history
+      .filter((h) => profileReady(h) && needsResume(h))
+      .forEach(resumeItem);
+  });
+
+  // Opened from a shared link: load its form and pin its reports, fetching
+  // status + a fresh presigned URL for any we don't have locally.
+  const applySharedLink = useEffectEvent(async () => {
+    const link = parseShareHash(window.location.hash);
+    if (link?.form) {
+      loadIntoForm({
+        form: {
+          topic: link.form.topic,
+          questions: link.form.questions.length
+            ? link.form.questions
+            : questions,
+          country: link.form.country || undefined,
+          year: link.form.year || undefined,
+        },
+      });
+    }
+
+    // A reload carries our own hash; only a different set of panes is a link
+    // someone opened, and it replaces the grid (keeping a maximised pane if
+    // it is still in it).
+    if (link?.panes.length && !linkMatchesPanes(link, paneItems)) {
+      const known = new Map(
+        history.filter((h) => h.instantId).map((h) => [h.instantId, h])
       );
-    } finally {
-      clearInterval(timer);
+      // Another tab may have stored these reports since our history loaded
+      // (e.g. the same link opened twice); reuse its items.
+      const stored = await findHistoryByInstantIds(
+        link.panes.map((ref) => ref.instantId).filter((id) => !known.has(id))
+      ).catch(() => new Map());
+      if (stored.size) applyRemoteHistory({ puts: [...stored.values()] });
+      stored.forEach((item, instantId) => known.set(instantId, item));
+
+      const shared = [];
+      const itemIds = link.panes.map((ref) => {
+        const existing = known.get(ref.instantId);
+        if (existing) return existing.id;
+        const item = {
+          id: newJobId(),
+          createdAt: nowIso(),
+          topic: "",
+          title: `Shared report ${ref.instantId}`,
+          userPhone: ref.userPhone,
+          instantId: ref.instantId,
+          status: "queued",
+          s3Key: ref.s3Key,
+          pdfUrl: "",
+          shared: true,
+          profile: profileTag(activeProfile),
+        };
+        shared.push(item);
+        return item.id;
+      });
+
+      if (shared.length) setHistory((prev) => [...shared, ...prev]);
+      setPanes((prev) => ({
+        itemIds,
+        maximized: itemIds.includes(prev.maximized) ? prev.maximized : null,
+      }));
+      if (!missingEndpoints(activeProfile).length) shared.forEach(resumeItem);
+    }
+    setLinkReady(true);
+  });
+
+  useEffect(() => {
+    if (!historyReady) return;
+    // Deferred so StrictMode's mount/unmount/mount only resumes once.
+    const timer = setTimeout(() => {
+      heldJobLocks().then((held) => {
+        resumeUnfinished(held);
+        applySharedLink();
+      });
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [historyReady]);
+
+  const shareHash = encodeShareHash({
+    panes: paneItems.map((x) => ({
+      userPhone: x.userPhone,
+      instantId: x.instantId,
+      s3Key: x.s3Key,
+    })),
+    form: { topic, questions, country, year },
+  });
+
+  useEffect(() => {
+    if (linkReady) replaceHash(shareHash);
+  }, [shareHash, linkReady]);
+
+  // Completion signals for background tabs (see lib/notify). Only real
+  // transitions to done/failed count, not items loaded or imported that way,
+  // and only in the tab that ran the job (others get it through tab sync).
+  // Batch and experiment runs are summed up once the whole group has settled.
+  const seenStatusRef = useRef(null); // historyId -> lower-cased status
+  const unseenRef = useRef(0);
+
+  function openFromNotification(itemId) {
+    setReviewingId(null);
+    setPanes((prev) => showFirst(prev, itemId));
+  }
+
+  function signalFinished({ title, body, tag, ok, onClick }) {
+    if (!isInBackground()) return;
+    unseenRef.current += 1;
+    setBadge(unseenRef.current);
+    if (notifySettings.notifications) {
+      showNotification({ title, body, tag, onClick });
     }
+    if (notifySettings.sound) playChime(ok);
   }
 
-  async function getPresignedUrl({ userPhone, instantId, s3Key }) {
-    const url = new URL(PRESIGN_API);
+  const announceFinished = useEffectEvent(() => {
+    const prev = seenStatusRef.current;
+    const statusOf = (h) => String(h.status || "").toLowerCase();
+    seenStatusRef.current = new Map(history.map((h) => [h.id, statusOf(h)]));
+    if (!prev) return;
+
+    const finished = history.filter(
+      (h) =>
+        ["done", "failed"].includes(statusOf(h)) &&
+        prev.has(h.id) &&
+        prev.get(h.id) !== statusOf(h) &&
+        jobLocksRef.current.has(h.id)
+    );
 
-    // Prefer s3Key if available (cleanest)
-    if (s3Key) {
-      url.searchParams.set("s3Key", s3Key);
-    } else {
-      url.searchParams.set("userPhone", userPhone);
-      url.searchParams.set("instantId", instantId);
+    const groups = new Map();
+    for (const h of finished) {
+      if (h.batchId) {
+        groups.set(`batch:${h.batchId}`, {
+          name: `Batch “${h.batchName || h.batchId}”`,
+          members: (x) => x.batchId === h.batchId,
+          onClick: () => {
+            setBatchFilter(h.batchId);
+            setLeftHidden(false);
+          },
+        });
+      } else if (h.experiment) {
+        const exp = experiments.find((e) => e.id === h.experiment.id);
+        groups.set(`experiment:${h.experiment.id}`, {
+          name: `Experiment “${exp?.name || h.experiment.id}”`,
+          members: (x) => x.experiment?.id === h.experiment.id,
+        });
+      } else {
+        const ok = statusOf(h) === "done";
+        signalFinished({
+          title: ok ? "Report ready" : "Report failed",
+          body: h.title || h.topic || "",
+          tag: h.id,
+          ok,
+          onClick: () => openFromNotification(h.id),
+        });
+      }
     }
 
-    const { res, data } = await fetchJson(url.toString(), {
-      method: "GET",
-      headers: { "Content-Type": "application/json" },
-    });
+    for (const [key, group] of groups) {
+      const members = history.filter(group.members);
+      if (!members.every((x) => isTerminalStatus(x.status))) continue;
+      const count = (s) => members.filter((x) => statusOf(x) === s).length;
+      const failed = count("failed");
+      const cancelled = count("cancelled");
+      signalFinished({
+        title: `${group.name} finished`,
+        body: `${count("done")} done, ${failed} failed${
+          cancelled ? `, ${cancelled} cancelled` : ""
+        }`,
+        tag: key,
+        ok: failed === 0,
+        onClick: group.onClick,
+      });
+    }
+  });
 
-    if (!res.ok) throw new Error(buildErrorMessage(res, data, "Presign failed"));
+  useEffect(() => {
+    if (historyReady) announceFinished();
+  }, [history, historyReady]);
 
-    // Accept multiple response shapes (since lambdas often differ)
-    // If your presign lambda returns { ok:true, presignedUrl:"..." } you’re covered.
-    const ok = data?.ok;
-    if (ok === false) throw new Error(buildErrorMessage(res, data, "Presign failed"));
+  // Looking at the tab again clears the badge.
+  useEffect(() => {
+    function clearBadge() {
+      if (isInBackground()) return;
+      unseenRef.current = 0;
+      setBadge(0);
+    }
+    document.addEventListener("visibilitychange", clearBadge);
+    window.addEventListener("focus", clearBadge);
+    return () => {
+      document.removeEventListener("visibilitychange", clearBadge);
+      window.removeEventListener("focus", clearBadge);
+    };
+  }, []);
 
-    const u =
-      data?.presignedUrl ||
-      data?.presigned_url ||
-      data?.url ||
-      data?.presignedURL ||
-      "";
+  function copyShareLink() {
+    const fail = () =>
+      setError("Could not copy the link; copy it from the address bar.");
+    if (!navigator.clipboard) {
+      fail();
+      return;
+    }
+    navigator.clipboard
+      .writeText(window.location.href)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1500);
+      })
+      .catch(fail);
+  }
+
+  function queueSubmit(historyId, payload, profile) {
+    claimJob({ id: historyId }, () => startSubmit(historyId, payload, profile));
+  }
 
-    if (!u) throw new Error("Presign API returned no URL");
-    return u;
+  function startSubmit(historyId, payload, profile) {
+    const client = clients.get(profile.id);
+    setJobProgress(historyId, { pct: 2, sub: "Waiting for a free slot…" });
+    queue
+      .enqueue(historyId, (signal) =>
+        runReportJob(historyId, payload, client, signal)
+      )
+      .catch(() => markCancelled(historyId));
   }
 
-  async function generate() {
+  // `tags` are extra fields stored on the history item (e.g. batchId, the
+  // raw form it came from). The exact Confirm payload is kept as `request`,
+  // and the item is tagged with the profile it was sent to (the active one
+  // unless given).
+  function enqueueReport(
+    payload,
+    tags = {},
+    { select = true, profile = activeProfile } = {}
+  ) {
+    const historyId = newJobId();
+
+    const newItem = {
+      id: historyId,
+      createdAt: nowIso(),
+      topic: payload.query,
+      title: payload.query,
+      userPhone: "",
+      instantId: "",
+      status: "pending",
+      s3Key: "",
+      pdfUrl: "",
+      request: payload,
+      profile: profileTag(profile),
+      ...tags,
+    };
+
+    setHistory((prev) => [newItem, ...prev]);
+    if (select) {
+      setPanes((prev) => showFirst(prev, historyId));
+    }
+    queueSubmit(historyId, payload, profile);
+  }
+
+  // Same payload, new report (the worker output is not deterministic): sent
+  // unchanged to the environment the item came from. Only the idempotency
+  // key is new, or the backend would hand back the original report. A rerun
+  // of an experiment report stays in (and blind to) its variant.
+  function rerunItem(item) {
+    if (!item.request) return;
+    setError("");
+    const profile = profileFor(item);
+    if (!ensureEnv(profile)) return;
+    enqueueReport(
+      { ...item.request, idempotencyKey: newIdempotencyKey() },
+      {
+        template: item.template || null,
+        form: item.form,
+        rerunOf: item.instantId || item.id,
+        ...(item.experiment ? { experiment: item.experiment } : {}),
+      },
+      { profile, select: !item.experiment }
+    );
+  }
+
+  function loadIntoForm(item) {
+    const form = item.form || {
+      topic: item.request?.query || item.topic || "",
+      questions: item.request?.questions || questions,
+    };
+    setTopic(form.topic);
+    setQuestions(form.questions);
+    if (form.country !== undefined) setCountry(form.country);
+    if (form.year !== undefined) setYear(form.year);
+
+    const tpl = item.template
+      ? loadTemplates().find((t) => t.id === item.template.id)
+      : null;
+    const version = findVersion(tpl, item.template?.version);
+    setActiveTemplate(
+      version
+        ? {
+            id: tpl.id,
+            name: tpl.name,
+            version: version.version,
+            topic: version.topic,
+            questions: version.questions,
+          }
+        : null
+    );
+    setShowQuestionErrors(false);
+    setLeftHidden(false);
+  }
+
+  // Fill {{topic}}/{{country}}/{{year}}: the topic itself may use
+  // country/year, the questions may also use the filled topic.
+  function resolvePrompt(rawTopic, rawQuestions) {
+    const vars = { country, year };
+    const query = fillPlaceholders(rawTopic.trim(), vars);
+    const qs = rawQuestions.map((q) =>
+      fillPlaceholders((q || "").trim(), { ...vars, topic: query })
+    );
+    return {
+      query,
+      questions: qs,
+      missing: unfilledPlaceholders([query, ...qs]),
+    };
+  }
+
+  // Which template version the form is based on (and whether it was edited).
+  function templateTag(formQuestions) {
+    if (!activeTemplate) return null;
+    return {
+      id: activeTemplate.id,
+      name: activeTemplate.name,
+      version: activeTemplate.version,
+      modified: !sameContent(activeTemplate, {
+        topic,
+        questions: formQuestions,
+      }),
+    };
+  }
+
+  function applyTemplate(ref) {
+    setActiveTemplate(ref);
+    setTopic(ref.topic);
+    setQuestions(ref.questions);
+  }
+
+  function generate() {
     setError("");
-    setLastApiResponse(null);
-    pollAbortRef.current.aborted = true; // stop any previous polling loops
 
     if (!ensureEnv()) return;
 
@@ -287,183 +1439,263 @@ export default function App() {
       setError("Please enter a topic.");
       return;
     }
-    if (qs.some((q) => !q)) {
-      setError("Please fill all 5 questions.");
+    // Question problems are shown inline next to each question.
+    if (!questionValidation.valid) {
+      setShowQuestionErrors(true);
       return;
     }
 
-    setLoading(true);
-    setModalOpen(false);
-    setProgressPct(5);
+    const resolved = resolvePrompt(t, qs);
+    if (resolved.missing.length) {
+      setError(
+        `Fill in placeholder(s): ${resolved.missing
+          .map((m) => `{{${m}}}`)
+          .join(", ")}`
+      );
+      return;
+    }
 
-    try {
-      // 1) Confirm (queue the job)
-      const payload = {
-        bypass: true,
-        employeeId: "10000001",
-        query: t,
-        questions: qs,
-      };
+    enqueueReport(
+      buildPayload(activeProfile, {
+        query: resolved.query,
+        questions: resolved.questions,
+      }),
+      {
+        template: templateTag(questions),
+        form: { topic, questions, country, year },
+      }
+    );
+  }
 
-      setModalOpen(true);
-      setModalTitle("Generating report…");
-      setModalSub("Submitting request…");
-      setProgressPct(10);
+  function enqueueBatch(jobs, { name }) {
+    setError("");
+    if (!ensureEnv()) return false;
+
+    const resolvedJobs = jobs.map((job) => ({
+      job,
+      ...resolvePrompt(job.topic, job.questions),
+    }));
+    const unresolved = resolvedJobs.find((r) => r.missing.length);
+    if (unresolved) {
+      setError(
+        `Batch row “${
+          unresolved.job.topic
+        }” has unfilled placeholder(s): ${unresolved.missing
+          .map((m) => `{{${m}}}`)
+          .join(", ")}`
+      );
+      return false;
+    }
 
-      const { res, data } = await fetchJson(CONFIRM_API, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+    const formQuestions = questions.map((q) => (q || "").trim());
+    const batchId = newBatchId();
+    const batchName = name || batchId;
+    resolvedJobs.forEach(({ job, query, questions: qs }) =>
+      enqueueReport(
+        buildPayload(activeProfile, { query, questions: qs }),
+        {
+          batchId,
+          batchName,
+          form: {
+            topic: job.topic,
+            questions: job.questions,
+            country,
+            year,
+          },
+          // Rows that fell back to the form's questions used the template too.
+          template: sameContent(
+            { topic: "", questions: job.questions },
+            { topic: "", questions: formQuestions }
+          )
+            ? templateTag(questions)
+            : null,
+        },
+        { select: false }
+      )
+    );
+    setBatchFilter(batchId);
+    return true;
+  }
 
-      setLastApiResponse(data);
+  function launchExperiment(draft) {
+    setError("");
+    if (!ensureEnv()) return false;
 
-      if (!res.ok || !data?.ok) {
-        throw new Error(buildErrorMessage(res, data, "Request failed"));
-      }
+    const problems = validateExperiment(draft, questionLimits);
+    if (problems.length) {
+      setError(problems.join(" "));
+      return false;
+    }
+    const resolved = draft.variants.map((v) =>
+      resolvePrompt(draft.topic, v.questions)
+    );
+    const unresolved = resolved.find((r) => r.missing.length);
+    if (unresolved) {
+      setError(
+        `Experiment has unfilled placeholder(s): ${unresolved.missing
+          .map((m) => `{{${m}}}`)
+          .join(", ")}`
+      );
+      return false;
+    }
 
-      const userPhone = data.userPhone || data.user_phone || "";
-      const instantId = data.instantId || data.instant_id || "";
-      if (!userPhone || !instantId) {
-        throw new Error("Confirm API did not return userPhone + instantId");
+    const experiment = createExperiment(draft);
+    setExperiments((prev) => [experiment, ...prev]);
+    experiment.variants.forEach((variant, vi) => {
+      for (let run = 0; run < experiment.runs; run++) {
+        enqueueReport(
+          buildPayload(activeProfile, {
+            query: resolved[vi].query,
+            questions: resolved[vi].questions,
+          }),
+          {
+            experiment: { id: experiment.id, variantId: variant.id },
+            form: {
+              topic: draft.topic,
+              questions: variant.questions,
+              country,
+              year,
+            },
+          },
+          { select: false }
+        );
       }
+    });
+    return true;
+  }
 
-      const historyId = `${instantId}-${Date.now()}`;
-
-      const newItem = {
-        id: historyId,
-        createdAt: data.createdAt || nowIso(),
-        topic: t,
-        title: data.title || t,
-        userPhone,
-        instantId,
-        status: data.status || "queued",
-        s3Key: data.s3Key || "",
-        pdfUrl: "",
-        apiResponse: data,
-      };
-
-      setHistory((prev) => [newItem, ...prev].slice(0, 200));
-      setRightId((prevRight) => leftId || prevRight);
-      setLeftId(historyId);
+  function updateExperiment(id, update) {
+    setExperiments((prev) => prev.map((e) => (e.id === id ? update(e) : e)));
+  }
 
-      // 2) Poll status until done
-      const statusData = await pollStatusUntilDone({
-        userPhone,
-        instantId,
-        historyId,
-      });
+  function startReview(id) {
+    const experiment = experiments.find((e) => e.id === id);
+    if (!experiment) return;
+    if (!experiment.pairs.length) {
+      const pairs = buildPairs(experiment, history);
+      if (!pairs.length) {
+        setError(
+          "Blind review needs finished reports from at least two variants."
+        );
+        return;
+      }
+      updateExperiment(id, (e) => ({ ...e, pairs }));
+    }
+    setError("");
+    setReviewingId(id);
+  }
 
-      // If polling returned nothing (unmounted), just stop
-      if (!statusData || !mountedRef.current) return;
+  function revealExperiment(id) {
+    updateExperiment(id, (e) => ({ ...e, revealed: true }));
+    if (reviewingId === id) setReviewingId(null);
+  }
 
-      const finalS3Key =
-        statusData?.s3Key ||
-        statusData?.s3_key ||
-        `instant/${userPhone}/${instantId}.pdf`;
+  function deleteExperiment(id) {
+    if (!confirm("Delete this experiment? Its reports stay in history.")) {
+      return;
+    }
+    setExperiments((prev) => prev.filter((e) => e.id !== id));
+    if (reviewingId === id) setReviewingId(null);
+  }
 
-      // 3) Presign
-      const presignedUrl = await getPresignedUrl({
-        userPhone,
-        instantId,
-        s3Key: finalS3Key,
-      });
+  // Most recent report that didn't succeed and still has its payload.
+  const lastFailed = useMemo(
+    () =>
+      history.find(
+        (h) =>
+          h.request &&
+          ["failed", "cancelled"].includes(String(h.status).toLowerCase())
+      ) || null,
+    [history]
+  );
 
-      const finalUrl = withFragmentBuster(presignedUrl);
+  function retry() {
+    if (lastFailed) rerunItem(lastFailed);
+  }
 
-      upsertHistoryItem(historyId, {
-        status: "done",
-        s3Key: finalS3Key,
-        pdfUrl: finalUrl,
-        title: statusData.title || undefined,
-        subtitle: statusData.subtitle || undefined,
-      });
+  function updateReview(itemId, review) {
+    setHistory((prev) =>
+      prev.map((x) => (x.id === itemId ? { ...x, review } : x))
+    );
+  }
 
-      setModalSub("Ready!");
-      setProgressPct(100);
+  function togglePinned(itemId) {
+    setPanes((prev) =>
+      prev.itemIds.includes(itemId)
+        ? unpinPane(prev, itemId)
+        : pinPane(prev, itemId)
+    );
+  }
 
-      setTimeout(() => {
-        if (!mountedRef.current) return;
-        setModalOpen(false);
-      }, 600);
-    } catch (e) {
-      if (!mountedRef.current) return;
-      setModalOpen(false);
-      setError(e?.message || "Server error");
-    } finally {
-      if (!mountedRef.current) return;
-      setLoading(false);
-    }
+  function removeItem(itemId) {
+    queue.cancel(itemId);
+    setHistory((prev) => prev.filter((x) => x.id !== itemId));
+    setPanes((prev) => unpinPane(prev, itemId));
   }
 
-  function retry() {
-    if (loading) return;
-    generate();
+  function selectItems(ids, on) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (on ? next.add(id) : next.delete(id)));
+      return next;
+    });
   }
 
-  function setLeft(itemId) {
-    setLeftId(itemId);
-    if (itemId === rightId) {
-      const alt = history.find((x) => x.id !== itemId)?.id || itemId;
-      setRightId(alt);
-    }
+  function exportHistory(items) {
+    if (!items.length) return;
+    downloadJson(createBundle(items), bundleFileName(items.length));
   }
 
-  function setRight(itemId) {
-    setRightId(itemId);
-    if (itemId === leftId) {
-      const alt = history.find((x) => x.id !== itemId)?.id || itemId;
-      setLeftId(alt);
+  async function importHistory(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-picking the same file
+    if (!file) return;
+    setError("");
+    setImportNote("");
+
+    let parsed;
+    try {
+      parsed = parseBundle(await file.text());
+    } catch {
+      setError("Could not read file.");
+      return;
+    }
+    if (!parsed.items.length) {
+      setError(parsed.errors.join(" ") || "The bundle has no reports.");
+      return;
     }
-  }
 
-  function removeItem(itemId) {
-    setHistory((prev) => prev.filter((x) => x.id !== itemId));
-    if (leftId === itemId) setLeftId(null);
-    if (rightId === itemId) setRightId(null);
+    const importedAt = nowIso();
+    const result = mergeImported(history, parsed.items, importedAt);
+    setHistory((prev) => mergeImported(prev, parsed.items, importedAt).history);
+    setImportNote(
+      [
+        `Imported ${result.added.length} new report(s)`,
+        result.updated ? `added notes to ${result.updated}` : "",
+        result.skipped ? `${result.skipped} already here` : "",
+        parsed.errors.length ? `${parsed.errors.length} invalid skipped` : "",
+      ]
+        .filter(Boolean)
+        .join(", ") + "."
+    );
+
+    // Fresh links from s3Key, one at a time to go easy on the presign API.
+    for (const item of result.added) {
+      if (String(item.status).toLowerCase() === "done") {
+        await refreshPdfLink(item);
+      }
+    }
   }
 
   function clearHistory() {
     if (!confirm("Clear all generated reports from this page history?")) return;
+    queue.cancelAll();
     setHistory([]);
-    setLeftId(null);
-    setRightId(null);
-    try {
-      localStorage.removeItem(STORAGE_KEY);
-    } catch {
-      // ignore
-    }
+    setPanes({ ...EMPTY_LAYOUT });
   }
 
   return (
     <div className="page">
-      {/* Loading Modal */}
-      {modalOpen ? (
-        <div className="modalOverlay">
-          <div className="modalCard">
-            <div className="modalTitle">{modalTitle}</div>
-            <div className="modalSub">{modalSub}</div>
-
-            <div className="progressWrap">
-              <div className="progressBar">
-                <div
-                  className="progressFill"
-                  style={{
-                    width: `${Math.max(0, Math.min(100, progressPct))}%`,
-                  }}
-                />
-              </div>
-              <div className="progressPct">{progressPct}%</div>
-            </div>
-
-            <div className="modalHint">
-              This can take up to ~2 minutes because charts + PDF are generated
-              in the worker.
-            </div>
-          </div>
-        </div>
-      ) : null}
-
       <header className="topbar">
         <div className="topbarLeft">
           <div className="brand">RBR Instant Lite Lab</div>
@@ -490,6 +1722,14 @@ export default function App() {
             <div className="card">
               <div className="cardTitle">Generate</div>
 
+              <label className="label">Template</label>
+              <TemplatePanel
+                form={{ topic, questions }}
+                active={activeTemplate}
+                onApply={applyTemplate}
+                onActiveChange={setActiveTemplate}
+              />
+
               <label className="label">Topic</label>
               <input
                 className="input"
@@ -498,28 +1738,64 @@ export default function App() {
                 placeholder="e.g., FMCG market report India"
               />
 
-              {questions.map((q, i) => (
-                <div key={i} style={{ marginTop: 10 }}>
-                  <label className="label">Question {i + 1}</label>
-                  <textarea
-                    className="textarea"
-                    value={q}
-                    onChange={(e) => updateQuestion(i, e.target.value)}
-                    rows={2}
+              <div className="varRow">
+                <div>
+                  <label className="label">{"{{country}}"}</label>
+                  <input
+                    className="input"
+                    value={country}
+                    onChange={(e) => setCountry(e.target.value)}
+                    placeholder="e.g., India"
                   />
                 </div>
-              ))}
+                <div>
+                  <label className="label">{"{{year}}"}</label>
+                  <input
+                    className="input"
+                    value={year}
+                    onChange={(e) => setYear(e.target.value)}
+                    placeholder="e.g., 2026"
+                  />
+                </div>
+              </div>
+
+              <QuestionsEditor
+                questions={questions}
+                onChange={setQuestions}
+                limits={questionLimits}
+                onLimitsChange={(next) => setQuestionLimits(clampLimits(next))}
+                validation={questionValidation}
+                showErrors={showQuestionErrors}
+              />
+
+              <label className="label">Parallel jobs</label>
+              <input
+                className="input inputNarrow"
+                type="number"
+                min={1}
+                max={10}
+                value={concurrency}
+                onChange={(e) =>
+                  setConcurrency(clampConcurrency(e.target.value))
+                }
+              />
 
               <div className="actions">
-                <button className="btn" onClick={generate} disabled={loading}>
-                  {loading ? "Generating..." : "Generate PDF"}
+                <button className="btn" onClick={generate}>
+                  Generate PDF
                 </button>
 
                 <button
                   className="btnSecondary"
                   onClick={retry}
-                  disabled={loading}
-                  title="Retry the same request"
+                  disabled={!lastFailed}
+                  title={
+                    lastFailed
+                      ? `Re-run “${
+                          lastFailed.title || lastFailed.topic
+                        }” with the exact payload it was sent with`
+                      : "No failed report to retry"
+                  }
                 >
                   Retry
                 </button>
@@ -527,233 +1803,390 @@ export default function App() {
                 <button
                   className="btnSecondary"
                   onClick={clearHistory}
-                  disabled={!history.length || loading}
+                  disabled={!history.length}
                 >
                   Clear history
                 </button>
-              </div>
 
-              <div className="apiLine">
-                <span className="apiLabel">Confirm API</span>{" "}
-                <span className="apiValue">{CONFIRM_API || "(missing)"}</span>
-              </div>
-              <div className="apiLine">
-                <span className="apiLabel">Status API</span>{" "}
-                <span className="apiValue">{STATUS_API || "(missing)"}</span>
+                {activeCount ? (
+                  <button className="btnDanger" onClick={cancelAllJobs}>
+                    Cancel all
+                  </button>
+                ) : null}
               </div>
-              <div className="apiLine">
-                <span className="apiLabel">Presign API</span>{" "}
-                <span className="apiValue">{PRESIGN_API || "(missing)"}</span>
+
+              <div className="mutedSmall" style={{ marginTop: 8 }}>
+                {activeCount ? `${activeCount} report(s) in progress. ` : ""}
+                Each report can take up to ~2 minutes because charts + PDF are
+                generated in the worker.
               </div>
 
+              <NotificationSettings
+                settings={notifySettings}
+                onChange={setNotifySettings}
+              />
+
+              <EnvironmentPanel
+                profiles={profiles}
+                activeId={activeProfile.id}
+                onSelect={setProfileId}
+                onSave={saveProfile}
+              />
+
               {error ? <div className="errorBox">Error: {error}</div> : null}
             </div>
 
+            <BatchPanel
+              defaultQuestions={questions.map((q) => (q || "").trim())}
+              questionLimits={questionLimits}
+              onSubmit={enqueueBatch}
+            />
+
             <div className="card" style={{ marginTop: 12 }}>
               <div className="cardTitleRow">
                 <div className="cardTitle">Generated Reports</div>
-                <div className="mutedSmall">{history.length} items</div>
+                <div className="mutedSmall">
+                  {visibleHistory.length} items
+                  {hiddenCount
+                    ? ` · ${hiddenCount} hidden in blind experiments`
+                    : ""}
+                </div>
+              </div>
+
+              {batches.length ? (
+                <div className="filterRow">
+                  <select
+                    className="input"
+                    value={activeBatch ? activeBatch.id : ""}
+                    onChange={(e) => {
+                      setBatchFilter(e.target.value);
+                      setHistoryPage(1);
+                    }}
+                  >
+                    <option value="">All reports</option>
+                    {batches.map((b) => (
+                      <option key={b.id} value={b.id}>
+                        Batch: {b.name} ({b.total})
+                      </option>
+                    ))}
+                  </select>
+                  {activeBatch ? (
+                    <div className="batchSummary">
+                      {Object.entries(activeBatch.counts).map(([st, n]) => (
+                        <span key={st} className={`badge ${st}`}>
+                          {st}: {n}
+                        </span>
+                      ))}
+                    </div>
+                  ) : null}
+                </div>
+              ) : null}
+
+              <div className="filterRow">
+                <input
+                  className="input"
+                  placeholder="Search title, topic, questions…"
+                  value={historyQuery.search}
+                  onChange={(e) =>
+                    updateHistoryQuery({ search: e.target.value })
+                  }
+                />
+                <select
+                  className="input"
+                  value={historyQuery.status}
+                  onChange={(e) =>
+                    updateHistoryQuery({ status: e.target.value })
+                  }
+                >
+                  <option value="">Any status</option>
+                  {statusOptions.map((st) => (
+                    <option key={st} value={st}>
+                      {st}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  className="input"
+                  type="date"
+                  value={historyQuery.from}
+                  onChange={(e) => updateHistoryQuery({ from: e.target.value })}
+                  aria-label="Created from"
+                />
+                <input
+                  className="input"
+                  type="date"
+                  value={historyQuery.to}
+                  onChange={(e) => updateHistoryQuery({ to: e.target.value })}
+                  aria-label="Created to"
+                />
+                {filtersActive ? (
+                  <button
+                    className="chip"
+                    onClick={() =>
+                      updateHistoryQuery({
+                        search: "",
+                        status: "",
+                        from: "",
+                        to: "",
+                      })
+                    }
+                  >
+                    Clear
+                  </button>
+                ) : null}
               </div>
 
-              {!history.length ? (
+              <div className="filterRow">
+                <button
+                  className="chip"
+                  onClick={() => exportHistory(visibleHistory)}
+                  disabled={!visibleHistory.length}
+                  title="Export every report matching the current filters"
+                >
+                  {`Export ${
+                    filtersActive || activeBatch ? "filtered" : "all"
+                  } (${visibleHistory.length})`}
+                </button>
+                <button
+                  className="chip"
+                  onClick={() =>
+                    exportHistory(history.filter((h) => selectedIds.has(h.id)))
+                  }
+                  disabled={!selectedIds.size}
+                >
+                  Export selected ({selectedIds.size})
+                </button>
+                {selectedIds.size ? (
+                  <button
+                    className="chip"
+                    onClick={() => setSelectedIds(new Set())}
+                  >
+                    Clear selection
+                  </button>
+                ) : null}
+                <label className="chip fileChip">
+                  Import…
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={importHistory}
+                  />
+                </label>
+              </div>
+              {importNote ? (
+                <div className="mutedSmall" style={{ marginBottom: 8 }}>
+                  {importNote}
+                </div>
+              ) : null}
+
+              {!historyReady ? (
+                <div className="empty">Loading history…</div>
+              ) : !history.length ? (
                 <div className="empty">
                   No reports yet. Generate one to start comparing.
                 </div>
+              ) : !visibleHistory.length ? (
+                <div className="empty">No reports match these filters.</div>
               ) : (
-                <div className="tableWrap">
-                  <table className="table">
-                    <thead>
-                      <tr>
-                        <th style={{ width: 140 }}>Time</th>
-                        <th>Title / Topic</th>
-                        <th style={{ width: 120 }}>Instant ID</th>
-                        <th style={{ width: 100 }}>Status</th>
-                        <th style={{ width: 280 }}>Actions</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {history.map((h) => {
-                        const dt = h.createdAt ? new Date(h.createdAt) : null;
-                        const timeStr = dt ? dt.toLocaleString() : "-";
-                        const isLeft = h.id === leftId;
-                        const isRight = h.id === rightId;
-
-                        return (
-                          <tr
-                            key={h.id}
-                            className={isLeft || isRight ? "rowSelected" : ""}
-                          >
-                            <td className="mono">{timeStr}</td>
-                            <td>
-                              <div className="titleCell">
-                                {h.title || h.topic}
-                              </div>
-                              <div className="mutedSmall">{h.topic}</div>
-                            </td>
-                            <td className="mono">{h.instantId || "-"}</td>
-                            <td>
-                              <span
-                                className={`badge ${String(
-                                  h.status || ""
-                                ).toLowerCase()}`}
-                              >
-                                {h.status || "-"}
-                              </span>
-                            </td>
-                            <td>
-                              <div className="rowActions">
-                                <button
-                                  className="chip"
-                                  onClick={() => setLeft(h.id)}
-                                >
-                                  {isLeft ? "Viewing Left" : "View Left"}
-                                </button>
-                                <button
-                                  className="chip"
-                                  onClick={() => setRight(h.id)}
-                                >
-                                  {isRight ? "Viewing Right" : "View Right"}
-                                </button>
-
-                                {h.pdfUrl ? (
-                                  <a
-                                    className="chipLink"
-                                    href={h.pdfUrl}
-                                    target="_blank"
-                                    rel="noreferrer"
-                                  >
-                                    Open
-                                  </a>
-                                ) : (
-                                  <span className="chipDisabled">No link</span>
-                                )}
-
-                                <button
-                                  className="chipDanger"
-                                  onClick={() => removeItem(h.id)}
-                                >
-                                  Remove
-                                </button>
-                              </div>
-                            </td>
-                          </tr>
-                        );
-                      })}
-                    </tbody>
-                  </table>
-                </div>
+                <HistoryTable
+                  items={pageItems}
+                  selectedIds={selectedIds}
+                  onSelect={selectItems}
+                  sort={historyQuery}
+                  onSort={(key) => {
+                    setHistoryQuery((prev) => nextSort(prev, key));
+                    setHistoryPage(1);
+                  }}
+                  pinnedIds={panes.itemIds}
+                  progress={progress}
+                  onTogglePin={togglePinned}
+                  onRemove={removeItem}
+                  onRefreshStatus={refreshStatus}
+                  onKeepWaiting={decideKeepWaiting}
+                  onCancel={cancelJob}
+                  onRerun={rerunItem}
+                  onLoadIntoForm={loadIntoForm}
+                  onOpen={openPdf}
+                  linkState={linkState}
+                  rubric={rubric}
+                  now={now}
+                />
               )}
+
+              {historyPages > 1 ? (
+                <div className="pager">
+                  <button
+                    className="chip"
+                    onClick={() => setHistoryPage(currentPage - 1)}
+                    disabled={currentPage <= 1}
+                  >
+                    ‹ Prev
+                  </button>
+                  <span className="mutedSmall">
+                    Page {currentPage} of {historyPages}
+                  </span>
+                  <button
+                    className="chip"
+                    onClick={() => setHistoryPage(currentPage + 1)}
+                    disabled={currentPage >= historyPages}
+                  >
+                    Next ›
+                  </button>
+                </div>
+              ) : null}
             </div>
 
-            {lastApiResponse ? (
-              <div className="card" style={{ marginTop: 12 }}>
-                <div className="cardTitle">API Response (debug)</div>
-                <pre className="debugPre">
-                  {JSON.stringify(lastApiResponse, null, 2)}
-                </pre>
-              </div>
-            ) : null}
+            <ExperimentPanel
+              defaultTopic={topic}
+              defaultQuestions={questions}
+              experiments={experiments}
+              history={history}
+              reviewingId={reviewingId}
+              onLaunch={launchExperiment}
+              onStartReview={startReview}
+              onReveal={revealExperiment}
+              onDelete={deleteExperiment}
+            />
+
+            <ReviewSummary
+              items={history}
+              rubric={rubric}
+              onRubricChange={setRubric}
+            />
+
+            <PerformanceDashboard
+              items={history}
+              profiles={profiles}
+              now={now}
+            />
           </aside>
         )}
 
         {/* RIGHT PANEL */}
         <main className="right">
-          <div className="compareHeader">
-            <div className="compareTitle">Compare PDFs</div>
-            <div className="compareHint">
-              Pick any two reports from the table (View Left / View Right).
-            </div>
-          </div>
-
-          <div className="pdfGrid">
-            <div className="pdfPane">
-              <div className="pdfPaneHeader">
-                <div className="paneTitle">Left</div>
-                <div className="paneMeta">
-                  {leftItem ? (
-                    <>
-                      <span className="mono">
-                        {leftItem.instantId || leftItem.id}
-                      </span>
-                      <span className="dot">•</span>
-                      <span className="mutedSmall">
-                        {leftItem.title || leftItem.topic}
-                      </span>
-                    </>
-                  ) : (
-                    <span className="mutedSmall">No selection</span>
-                  )}
+          {reviewing ? (
+            <BlindReview
+              experiment={reviewing}
+              history={history}
+              linkState={linkState}
+              now={now}
+              sync={scrollLocked ? scrollSync : null}
+              onOpen={openPdf}
+              onRefreshLink={refreshPdfLink}
+              onVote={(pairId, vote) =>
+                updateExperiment(reviewing.id, (e) =>
+                  recordVote(e, pairId, vote)
+                )
+              }
+              onReveal={() => revealExperiment(reviewing.id)}
+              onExit={() => setReviewingId(null)}
+            />
+          ) : (
+            <>
+              <div className="compareHeader">
+                <div>
+                  <div className="compareTitle">Compare PDFs</div>
+                  <div className="compareHint">
+                    Pin any number of reports from the table; reorder, maximise
+                    or close panes from their headers.
+                  </div>
                 </div>
-                {leftItem?.pdfUrl ? (
-                  <a
-                    className="openBtn"
-                    href={leftItem.pdfUrl}
-                    target="_blank"
-                    rel="noreferrer"
+                <div className="compareBadges">
+                  <button
+                    className="chip"
+                    onClick={copyShareLink}
+                    disabled={!linkReady}
+                    title="Copy a link to this comparison and form"
                   >
-                    Open
-                  </a>
-                ) : null}
-              </div>
-
-              {leftItem?.pdfUrl ? (
-                <iframe
-                  key={leftItem.pdfUrl} // forces reload only when URL changes
-                  className="pdfFrame"
-                  src={leftItem.pdfUrl}
-                  title="Left PDF"
-                />
-              ) : (
-                <div className="pdfEmpty">
-                  Select a report and click “View Left”.
+                    {linkCopied ? "Link copied" : "Copy link"}
+                  </button>
+                  <button
+                    className={`chip${compareMode === "side" ? " chipOn" : ""}`}
+                    onClick={() => setCompareMode("side")}
+                  >
+                    Side by side
+                  </button>
+                  <button
+                    className={`chip${compareMode === "diff" ? " chipOn" : ""}`}
+                    onClick={() => setCompareMode("diff")}
+                  >
+                    Diff
+                  </button>
+                  {compareMode === "side" ? (
+                    <label className="toggleRow">
+                      <input
+                        type="checkbox"
+                        checked={scrollLocked}
+                        onChange={(e) => setScrollLocked(e.target.checked)}
+                      />
+                      Lock scroll / page
+                    </label>
+                  ) : null}
                 </div>
-              )}
-            </div>
+              </div>
 
-            <div className="pdfPane">
-              <div className="pdfPaneHeader">
-                <div className="paneTitle">Right</div>
-                <div className="paneMeta">
-                  {rightItem ? (
-                    <>
-                      <span className="mono">
-                        {rightItem.instantId || rightItem.id}
-                      </span>
-                      <span className="dot">•</span>
-                      <span className="mutedSmall">
-                        {rightItem.title || rightItem.topic}
-                      </span>
-                    </>
+              {compareMode === "diff" ? (
+                <div className="pdfPane diffPane">
+                  {diffReady ? (
+                    <DiffView
+                      key={`${diffLeft.pdfUrl}|${diffRight.pdfUrl}`}
+                      left={diffLeft}
+                      right={diffRight}
+                    />
                   ) : (
-                    <span className="mutedSmall">No selection</span>
+                    <div className="pdfEmpty">
+                      Pin at least two finished reports; Diff compares the first
+                      two panes.
+                    </div>
                   )}
                 </div>
-                {rightItem?.pdfUrl ? (
-                  <a
-                    className="openBtn"
-                    href={rightItem.pdfUrl}
-                    target="_blank"
-                    rel="noreferrer"
-                  >
-                    Open
-                  </a>
-                ) : null}
-              </div>
-
-              {rightItem?.pdfUrl ? (
-                <iframe
-                  key={rightItem.pdfUrl}
-                  className="pdfFrame"
-                  src={rightItem.pdfUrl}
-                  title="Right PDF"
-                />
               ) : (
-                <div className="pdfEmpty">
-                  Select a report and click “View Right”.
+                <div
+                  className={`pdfGrid${
+                    visiblePanes.length === 1 ? " pdfGridSingle" : ""
+                  }`}
+                >
+                  {visiblePanes.map((item) => {
+                    const index = paneItems.indexOf(item);
+                    return (
+                      <PdfPane
+                        key={item.id}
+                        label={`Pane ${index + 1}`}
+                        item={item}
+                        expired={isUrlExpired(item, now)}
+                        refreshing={!!linkState[item.id]?.refreshing}
+                        linkError={linkState[item.id]?.error}
+                        onOpen={openPdf}
+                        onRefreshLink={refreshPdfLink}
+                        sync={scrollLocked ? scrollSync : null}
+                        rubric={rubric}
+                        onReviewChange={updateReview}
+                        maximized={panes.maximized === item.id}
+                        canMoveBack={index > 0}
+                        canMoveForward={index < paneItems.length - 1}
+                        onMove={(delta) =>
+                          setPanes((prev) => movePane(prev, item.id, delta))
+                        }
+                        onToggleMaximized={() =>
+                          setPanes((prev) => toggleMaximized(prev, item.id))
+                        }
+                        onClose={() =>
+                          setPanes((prev) => unpinPane(prev, item.id))
+                        }
+                      />
+                    );
+                  })}
+                  {!paneItems.length ? (
+                    <div className="pdfPane">
+                      <div className="pdfEmpty">
+                        Pin reports from the table to compare them here.
+                      </div>
+                    </div>
+                  ) : null}
                 </div>
               )}
-            </div>
-          </div>
+            </>
+          )}
         </main>
       </div>
 
@@ -0,0 +1,404 @@
+// @vitest-environment jsdom
+// Drives the whole app against the mock backend (mock/mockBackend.js), one
+// test per scenario: pick it in the Mock environment's scenario picker,
+// press Generate PDF and let (fake) time run until the report settles.
+import {
+  act,
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  within,
+} from "@testing-library/react";
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mockFetch } from "../mock/mockBackend.js";
+
+// pdf.js needs a real canvas and worker; the viewer isn't under test here.
+vi.mock("./lib/pdf", () => ({
+  acquirePdfDocument: () => ({ promise: new Promise(() => {}), release() {} }),
+}));
+
+const STEP_MS = 500;
+
+class NoopObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+let App;
+let container;
+let confirmBodies;
+
+beforeEach(async () => {
+  vi.useFakeTimers({
+    // IndexedDB (fake-indexeddb) and React schedule on setImmediate
+    toFake: [
+      "setTimeout",
+      "clearTimeout",
+      "setInterval",
+      "clearInterval",
+      "Date",
+    ],
+  });
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  confirmBodies = [];
+  vi.stubGlobal("fetch", (input, init) => {
+    if (String(input).includes("/confirm")) {
+      confirmBodies.push(JSON.parse(init.body));
+    }
+    return mockFetch(input, init, window.location.href);
+  });
+  vi.stubGlobal("ResizeObserver", NoopObserver);
+  vi.stubGlobal("IntersectionObserver", NoopObserver);
+  localStorage.clear();
+  // the app mirrors its state into the hash; start without a shared link
+  window.history.replaceState(null, "", "/");
+  localStorage.setItem("rbr_instant_lab_active_profile", "mock");
+
+  // Fresh modules, so the history store opens the new IndexedDB.
+  vi.resetModules();
+  ({ default: App } = await import("./App"));
+  ({ container } = render(<App />));
+  await advanceUntil(() => screen.queryByTitle(/Applies to reports confirmed/));
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+/** Let fake time pass until `check()` is truthy (or give up after `maxMs`). */
+async function advanceUntil(check, maxMs = 10000) {
+  for (let waited = 0; ; waited += STEP_MS) {
+    const result = check();
+    if (result) return result;
+    if (waited >= maxMs) throw new Error(`Gave up after ${maxMs}ms`);
+    await act(() => vi.advanceTimersByTimeAsync(STEP_MS));
+  }
+}
+
+async function generateWith(scenario) {
+  const picker = screen.getByTitle(/Applies to reports confirmed/);
+  fireEvent.change(picker, { target: { value: scenario } });
+  await advanceUntil(() => picker.value === scenario);
+  fireEvent.click(screen.getByRole("button", { name: "Generate PDF" }));
+  await advanceUntil(() => row());
+}
+
+function row() {
+  return container.querySelector(".tableWrap tbody tr");
+}
+
+function statusOf() {
+  return row().querySelector(".badge").textContent;
+}
+
+function errorOf() {
+  return row().querySelector(".rowError")?.textContent || "";
+}
+
+function inProgress() {
+  return Boolean(row().querySelector(".rowProgress"));
+}
+
+// Jobs start a tick after Generate (once the job lock is taken), so wait for
+// the item to leave "pending" as well.
+async function settle(maxMs = 60000) {
+  await advanceUntil(() => statusOf() !== "pending" && !inProgress(), maxMs);
+}
+
+// Fake minutes still take a few real seconds.
+describe("App against the mock backend", { timeout: 60000 }, () => {
+  it("fast: generates the report and links the PDF", async () => {
+    await generateWith("fast");
+    await settle();
+    expect(statusOf()).toBe("done");
+    expect(errorOf()).toBe("");
+    expect(row().textContent).toMatch(/mock\w+/);
+    expect(row().querySelector("a.chipLink").getAttribute("href")).toMatch(
+      /\/__mock\/files\/.+X-Amz-Expires=900/
+    );
+  });
+
+  it("slow: asks whether to keep waiting after MAX_WAIT_MS, then finishes", async () => {
+    await generateWith("slow");
+    const keepWaiting = await advanceUntil(
+      () => screen.queryByRole("button", { name: "Keep waiting" }),
+      150000
+    );
+    expect(row().textContent).toMatch(/Still running after \d+s/);
+    fireEvent.click(keepWaiting);
+    await settle(60000);
+    expect(statusOf()).toBe("done");
+    expect(row().querySelector("a.chipLink")).not.toBeNull();
+  });
+
+  it("slow: stops polling when told to", async () => {
+    await generateWith("slow");
+    const stop = await advanceUntil(
+      () => screen.queryByRole("button", { name: "Stop polling" }),
+      150000
+    );
+    fireEvent.click(stop);
+    await settle();
+    expect(errorOf()).toMatch(/Still running after \d+s/);
+    expect(statusOf()).toBe("running");
+    expect(
+      within(row()).getByRole("button", { name: "Refresh status" })
+    ).toBeTruthy();
+  });
+
+  it("Cancel stops a Refresh status check", async () => {
+    await generateWith("slow");
+    fireEvent.click(
+      await advanceUntil(
+        () => screen.queryByRole("button", { name: "Stop polling" }),
+        150000
+      )
+    );
+    await settle();
+
+    // a Status call that only ends when aborted
+    vi.stubGlobal("fetch", (input, init) =>
+      String(input).includes("/status")
+        ? new Promise((resolve, reject) =>
+            init.signal.addEventListener("abort", () =>
+              reject(new DOMException("Aborted", "AbortError"))
+            )
+          )
+        : mockFetch(input, init, window.location.href)
+    );
+    fireEvent.click(
+      within(row()).getByRole("button", { name: "Refresh status" })
+    );
+    await advanceUntil(() => row().textContent.includes("Checking status…"));
+    fireEvent.click(within(row()).getByRole("button", { name: "Cancel" }));
+    await advanceUntil(() => !inProgress());
+    expect(statusOf()).toBe("running");
+    expect(errorOf()).toMatch(/Still running after \d+s/);
+    expect(
+      within(row()).getByRole("button", { name: "Refresh status" })
+    ).toBeTruthy();
+  });
+
+  it("failed: shows the worker's error", async () => {
+    await generateWith("failed");
+    await settle();
+    expect(statusOf()).toBe("failed");
+    expect(errorOf()).toBe("Chart renderer crashed (mock failure)");
+  });
+
+  it("http500: retries, then leaves the report resumable", async () => {
+    await generateWith("http500");
+    await settle();
+    expect(errorOf()).toBe("Internal server error");
+    expect(statusOf()).toBe("queued");
+    // one Confirm, then a Status call plus RETRY_ATTEMPTS retries
+    expect(
+      within(row()).getByRole("button", { name: /^Log \(5\)/ })
+    ).toBeTruthy();
+  });
+
+  it("flaky: rides out the 502s and finishes", async () => {
+    await generateWith("flaky");
+    await settle();
+    expect(statusOf()).toBe("done");
+    expect(errorOf()).toBe("");
+  });
+
+  it("okFalse: fails with Confirm's error", async () => {
+    await generateWith("okFalse");
+    await settle();
+    expect(statusOf()).toBe("failed");
+    expect(errorOf()).toBe("Employee 10000001 may not bypass (mock)");
+  });
+
+  it("malformed: reports the unparseable Status body", async () => {
+    await generateWith("malformed");
+    await settle();
+    expect(errorOf()).toMatch(/502 Bad Gateway/);
+    expect(statusOf()).toBe("queued");
+  });
+
+  it("missingInstantId: fails without polling", async () => {
+    await generateWith("missingInstantId");
+    await settle();
+    expect(statusOf()).toBe("failed");
+    expect(errorOf()).toBe("Confirm API did not return userPhone + instantId");
+    expect(
+      within(row()).getByRole("button", { name: /^Log \(1\)/ })
+    ).toBeTruthy();
+  });
+
+  it("altCasing: reads snake_case fields and upper-case statuses", async () => {
+    await generateWith("altCasing");
+    await settle();
+    expect(statusOf()).toBe("done");
+    expect(row().textContent).toMatch(/mock\w+/);
+    expect(row().querySelector("a.chipLink").getAttribute("href")).toMatch(
+      /\/__mock\/files\//
+    );
+  });
+
+  it("Re-run identical resends the stored payload as a new report", async () => {
+    await generateWith("fast");
+    await settle();
+    fireEvent.click(
+      within(row()).getByRole("button", { name: "Re-run identical" })
+    );
+    await advanceUntil(() => confirmBodies.length === 2);
+    await settle();
+
+    const [first, again] = confirmBodies;
+    const { idempotencyKey, ...payload } = again;
+    expect(idempotencyKey).toBeTruthy();
+    expect(idempotencyKey).not.toBe(first.idempotencyKey);
+    expect({ ...first, idempotencyKey: undefined }).toEqual({
+      ...payload,
+      idempotencyKey: undefined,
+    });
+    expect(container.querySelectorAll(".tableWrap tbody tr")).toHaveLength(2);
+    expect(statusOf()).toBe("done");
+  });
+
+  it("a reload keeps the saved grid, including unconfirmed and maximised panes", async () => {
+    await generateWith("okFalse"); // never gets an instantId
+    await settle();
+    await generateWith("fast");
+    await settle();
+    expect(screen.getAllByTitle("Close pane")).toHaveLength(2);
+    fireEvent.click(screen.getAllByTitle("Maximise")[0]);
+    await advanceUntil(() => window.location.hash.includes("pane="));
+
+    // same storage and URL (hash included), new page
+    cleanup();
+    ({ container } = render(<App />));
+    await advanceUntil(() => row());
+    // past the deferred resume / shared-link pass
+    await act(() => vi.advanceTimersByTimeAsync(1000));
+    expect(container.querySelectorAll(".tableWrap tbody tr")).toHaveLength(2);
+    fireEvent.click(screen.getByTitle("Restore grid"));
+    expect(screen.getAllByTitle("Close pane")).toHaveLength(2);
+  });
+
+  it("saves the call log with the finished report", async () => {
+    await generateWith("fast");
+    await settle();
+    const log = () =>
+      within(row()).getByRole("button", { name: /^Log \(\d+\)/ }).textContent;
+    const before = log();
+    expect(before).not.toMatch(/\(0\)/);
+
+    // a reload: the page hides before it goes
+    window.dispatchEvent(new Event("pagehide"));
+    await act(() => vi.advanceTimersByTimeAsync(STEP_MS));
+    cleanup();
+    ({ container } = render(<App />));
+    await advanceUntil(() => row());
+    expect(log()).toBe(before);
+  });
+
+  it("unpins an item another tab deleted", async () => {
+    await generateWith("fast");
+    await settle();
+    const { loadHistoryStore } = await import("./lib/historyStore");
+    const [item] = await loadHistoryStore();
+    const layout = () =>
+      JSON.parse(localStorage.getItem("rbr_instant_lab_panes_v1"));
+    expect(layout().itemIds).toEqual([item.id]);
+
+    const otherTab = new BroadcastChannel("rbr_instant_lab_history");
+    otherTab.postMessage({ type: "history", puts: [], deletes: [item.id] });
+    otherTab.close();
+    await advanceUntil(() => !row());
+    await advanceUntil(() => !layout().itemIds.length);
+  });
+
+  it("Retry keeps a failed blind-experiment report blind", async () => {
+    cleanup();
+    const { syncHistory } = await import("./lib/historyStore");
+    await syncHistory(
+      [],
+      [
+        {
+          id: "blind-1",
+          createdAt: new Date().toISOString(),
+          topic: "Blind topic",
+          title: "Blind topic",
+          userPhone: "",
+          instantId: "",
+          status: "failed",
+          s3Key: "",
+          pdfUrl: "",
+          error: "Worker crashed",
+          request: {
+            bypass: true,
+            employeeId: "10000001",
+            query: "Blind topic",
+            questions: ["Hidden variant question?"],
+            idempotencyKey: "key-1",
+          },
+          profile: { id: "mock", name: "Mock (local)" },
+          experiment: { id: "exp-1", variantId: "var-a" },
+        },
+      ]
+    );
+    localStorage.setItem(
+      "rbr_instant_lab_experiments_v1",
+      JSON.stringify([
+        {
+          id: "exp-1",
+          name: "Blind",
+          topic: "Blind topic",
+          variants: [
+            {
+              id: "var-a",
+              label: "A",
+              questions: ["Hidden variant question?"],
+            },
+            { id: "var-b", label: "B", questions: ["Other question?"] },
+          ],
+          runs: 1,
+          pairs: [],
+          revealed: false,
+          createdAt: new Date().toISOString(),
+        },
+      ])
+    );
+    ({ container } = render(<App />));
+    await advanceUntil(() => screen.queryByText(/1 hidden in blind/));
+
+    fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+    await advanceUntil(() => screen.queryByText(/2 hidden in blind/));
+    await advanceUntil(() => confirmBodies.length === 1);
+    expect(confirmBodies[0].questions).toEqual(["Hidden variant question?"]);
+    expect(row()).toBeNull();
+    expect(screen.queryAllByTitle("Close pane")).toHaveLength(0);
+  });
+
+  it("keeps history in localStorage when IndexedDB can't be opened", async () => {
+    cleanup();
+    vi.stubGlobal("indexedDB", undefined);
+    vi.resetModules();
+    ({ default: App } = await import("./App"));
+    ({ container } = render(<App />));
+    await advanceUntil(() =>
+      screen.queryByText(/Could not open the history database/)
+    );
+
+    await generateWith("fast");
+    await settle();
+    expect(statusOf()).toBe("done");
+    expect(
+      JSON.parse(localStorage.getItem("rbr_instant_lab_history_v2"))
+    ).toHaveLength(1);
+
+    cleanup();
+    ({ container } = render(<App />));
+    await advanceUntil(() => row());
+    expect(statusOf()).toBe("done");
+  });
+});
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { parseBatchFile } from "../lib/batch";
+
+export default function BatchPanel({
+  defaultQuestions,
+  questionLimits,
+  onSubmit,
+}) {
+  const [fileName, setFileName] = useState("");
+  const [batchName, setBatchName] = useState("");
+  const [jobs, setJobs] = useState([]);
+  const [errors, setErrors] = useState([]);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-picking the same file
+    if (!file) return;
+
+    setFileName(file.name);
+    setBatchName(file.name.replace(/\.(csv|json)$/i, ""));
+
+    try {
+      const text = await file.text();
+      const parsed = parseBatchFile(text, file.name, {
+        defaultQuestions,
+        limits: questionLimits,
+      });
+      setJobs(parsed.jobs);
+      setErrors(parsed.errors);
+    } catch (err) {
+      setJobs([]);
+      setErrors([err?.message || "Could not read file."]);
+    }
+  }
+
+  function reset() {
+    setFileName("");
+    setBatchName("");
+    setJobs([]);
+    setErrors([]);
+  }
+
+  function submit() {
+    if (!jobs.length) return;
+    if (!onSubmit(jobs, { name: batchName.trim() || fileName })) return;
+    reset();
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <div className="cardTitleRow">
+        <div className="cardTitle">Batch</div>
+        <div className="mutedSmall">
+          CSV or JSON of {"{topic, questions[]}"}
+        </div>
+      </div>
+
+      <input
+        className="input"
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={onFile}
+      />
+      <div className="mutedSmall" style={{ marginTop: 6 }}>
+        CSV: <span className="mono">topic,question1,…</span> or{" "}
+        <span className="mono">topic,questions</span> (separated by “|”). Rows
+        without questions use the form’s questions. JSON also accepts{" "}
+        <span className="mono">{"{topics, questionSets}"}</span> to expand every
+        combination.
+      </div>
+
+      {errors.length ? (
+        <div className="errorBox">
+          {errors.map((msg, i) => (
+            <div key={i}>{msg}</div>
+          ))}
+        </div>
+      ) : null}
+
+      {jobs.length ? (
+        <>
+          <label className="label">Batch name</label>
+          <input
+            className="input"
+            value={batchName}
+            onChange={(e) => setBatchName(e.target.value)}
+          />
+
+          <div className="tableWrap batchPreview">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th style={{ width: 36 }}>#</th>
+                  <th>Topic</th>
+                  <th>Questions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map((job, i) => (
+                  <tr key={i}>
+                    <td className="mono">{i + 1}</td>
+                    <td>{job.topic}</td>
+                    <td>
+                      <div className="mutedSmall">
+                        {job.questions.length} question(s)
+                      </div>
+                      <div className="batchQs">{job.questions.join(" · ")}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="actions">
+            <button className="btn" onClick={submit}>
+              Submit {jobs.length} job(s)
+            </button>
+            <button className="btnSecondary" onClick={reset}>
+              Discard
+            </button>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
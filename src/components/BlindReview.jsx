@@ -0,0 +1,100 @@
+import React from "react";
+import { nextPair, votedCount } from "../lib/experiments";
+import { isUrlExpired } from "../lib/presignedUrl";
+import PdfPane from "./PdfPane";
+
+// One anonymous pair at a time. Nothing identifying (variant, questions,
+// instant id) is shown until the experiment is revealed.
+export default function BlindReview({
+  experiment,
+  history,
+  linkState,
+  now,
+  sync,
+  onOpen,
+  onRefreshLink,
+  onVote,
+  onReveal,
+  onExit,
+}) {
+  const pair = nextPair(experiment);
+  const byId = new Map(history.map((h) => [h.id, h]));
+  const voted = votedCount(experiment);
+
+  function pane(label, itemId) {
+    const item = byId.get(itemId) || null;
+    return (
+      <PdfPane
+        blind
+        label={label}
+        item={item}
+        expired={isUrlExpired(item, now)}
+        refreshing={!!linkState[itemId]?.refreshing}
+        linkError={linkState[itemId]?.error}
+        onOpen={onOpen}
+        onRefreshLink={onRefreshLink}
+        sync={sync}
+      />
+    );
+  }
+
+  return (
+    <>
+      <div className="compareHeader">
+        <div>
+          <div className="compareTitle">Blind review: {experiment.name}</div>
+          <div className="compareHint">
+            Pick the better report. Variants are hidden until you reveal.
+          </div>
+        </div>
+        <div className="compareBadges">
+          <span className="badge running">
+            {voted}/{experiment.pairs.length} voted
+          </span>
+          <button className="chip" onClick={onExit}>
+            Exit review
+          </button>
+        </div>
+      </div>
+
+      {pair ? (
+        <>
+          <div className="voteBar">
+            <button className="btn" onClick={() => onVote(pair.id, "a")}>
+              A is better
+            </button>
+            <button
+              className="btnSecondary"
+              onClick={() => onVote(pair.id, "tie")}
+            >
+              Tie
+            </button>
+            <button className="btn" onClick={() => onVote(pair.id, "b")}>
+              B is better
+            </button>
+          </div>
+          <div className="pdfGrid" key={pair.id}>
+            {pane("Report A", pair.a)}
+            {pane("Report B", pair.b)}
+          </div>
+        </>
+      ) : (
+        <div className="pdfPane diffPane">
+          <div className="pdfEmpty">
+            <div className="emptyTitle">All pairs judged</div>
+            <div className="emptySub">
+              Reveal the variants to see win rates.
+            </div>
+            <button
+              className="btn"
+              style={{ marginTop: 10 }}
+              onClick={onReveal}
+            >
+              Reveal
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { formatBody, toCurl } from "../lib/callLog";
+
+function timeOf(iso) {
+  const d = new Date(iso);
+  return `${d.toLocaleTimeString()}.${String(d.getMilliseconds()).padStart(
+    3,
+    "0"
+  )}`;
+}
+
+function statusClass(call) {
+  if (call.status === null) return "callStatus callBad";
+  return call.status >= 200 && call.status < 300
+    ? "callStatus callGood"
+    : "callStatus callBad";
+}
+
+export default function CallInspector({ calls }) {
+  const [openIndex, setOpenIndex] = useState(null);
+  const [copied, setCopied] = useState("");
+
+  function copy(text, what) {
+    if (!navigator.clipboard) return;
+    navigator.clipboard
+      .writeText(text)
+      .then(() => {
+        setCopied(what);
+        setTimeout(() => setCopied(""), 1500);
+      })
+      .catch(() => {});
+  }
+
+  if (!calls?.length) {
+    return <div className="empty">No API calls recorded for this report.</div>;
+  }
+
+  return (
+    <div className="callInspector">
+      <div className="callInspectorHead">
+        <span className="mutedSmall">{calls.length} call(s), oldest first</span>
+        <button
+          className="chip"
+          onClick={() => copy(JSON.stringify(calls, null, 2), "log")}
+          disabled={!navigator.clipboard}
+        >
+          {copied === "log" ? "Copied" : "Copy log (JSON)"}
+        </button>
+      </div>
+
+      {calls.map((call, i) => {
+        const open = openIndex === i;
+        return (
+          <div key={i} className="callEntry">
+            <button
+              className="callSummary"
+              onClick={() => setOpenIndex(open ? null : i)}
+              aria-expanded={open}
+            >
+              <span className="mono">{timeOf(call.at)}</span>
+              <span className="callEndpoint">{call.endpoint}</span>
+              <span className={statusClass(call)}>
+                {call.status ?? "no response"}
+              </span>
+              <span className="mono">{call.latencyMs} ms</span>
+              <span className="callUrl" title={call.url}>
+                {call.method} {call.url}
+              </span>
+            </button>
+
+            {open ? (
+              <div className="callDetail">
+                <div className="rowActions">
+                  <button
+                    className="chip"
+                    onClick={() => copy(toCurl(call), `curl-${i}`)}
+                    disabled={!navigator.clipboard}
+                  >
+                    {copied === `curl-${i}` ? "Copied" : "Copy as curl"}
+                  </button>
+                  <button
+                    className="chip"
+                    onClick={() => copy(call.responseBody || "", `body-${i}`)}
+                    disabled={!navigator.clipboard || !call.responseBody}
+                  >
+                    {copied === `body-${i}` ? "Copied" : "Copy response"}
+                  </button>
+                </div>
+                {call.error ? (
+                  <div className="rowError">{call.error}</div>
+                ) : null}
+                {call.requestBody ? (
+                  <>
+                    <div className="label">Request body</div>
+                    <pre className="debugPre">
+                      {formatBody(call.requestBody)}
+                    </pre>
+                  </>
+                ) : null}
+                <div className="label">Response body</div>
+                <pre className="debugPre">
+                  {formatBody(call.responseBody) || "(empty)"}
+                </pre>
+              </div>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from "react";
+import { extractPdfText } from "../lib/pdfText";
+import { diffReports } from "../lib/textDiff";
+
+function WordRuns({ runs }) {
+  return runs.map((run, i) => {
+    const cls = run.number ? " diffNum" : "";
+    const text = i ? ` ${run.text}` : run.text;
+    if (run.type === "removed") {
+      return (
+        <del key={i} className={`diffDel${cls}`}>
+          {text}
+        </del>
+      );
+    }
+    if (run.type === "added") {
+      return (
+        <ins key={i} className={`diffIns${cls}`}>
+          {text}
+        </ins>
+      );
+    }
+    return <span key={i}>{text}</span>;
+  });
+}
+
+function DiffRow({ row }) {
+  if (row.type === "changed") {
+    return (
+      <div className="diffRow diffChanged">
+        <WordRuns runs={row.words} />
+      </div>
+    );
+  }
+  if (row.type === "removed") {
+    return <div className="diffRow diffRemoved">{row.left}</div>;
+  }
+  if (row.type === "added") {
+    return <div className="diffRow diffAdded">{row.right}</div>;
+  }
+  return <div className="diffRow diffSame">{row.left}</div>;
+}
+
+function missingNote(missing) {
+  if (missing === "both") return "Question not found in either report.";
+  if (missing === "left") return "Question not found in the first report.";
+  if (missing === "right") return "Question not found in the second report.";
+  return "";
+}
+
+/**
+ * Text diff of two reports, aligned by question. Render it with
+ * a key built from both URLs so a new selection starts a fresh extraction.
+ */
+export default function DiffView({ left, right }) {
+  const [result, setResult] = useState({ state: "loading" });
+  const [onlyChanges, setOnlyChanges] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([extractPdfText(left.pdfUrl), extractPdfText(right.pdfUrl)])
+      .then(([l, r]) => {
+        if (cancelled) return;
+        const sections = diffReports(
+          { paragraphs: l.paragraphs, questions: left.request?.questions },
+          { paragraphs: r.paragraphs, questions: right.request?.questions }
+        );
+        setResult({ state: "ready", sections });
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setResult({
+          state: "error",
+          error: e?.message || "Could not read PDF text",
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [left.pdfUrl, right.pdfUrl, left.request, right.request]);
+
+  if (result.state === "loading") {
+    return <div className="pdfEmpty">Extracting text from both reports…</div>;
+  }
+  if (result.state === "error") {
+    return (
+      <div className="pdfEmpty">
+        <div className="emptyTitle">Diff unavailable</div>
+        <div className="emptySub">{result.error}</div>
+      </div>
+    );
+  }
+
+  const totals = { added: 0, removed: 0, changed: 0 };
+  for (const s of result.sections) {
+    totals.added += s.counts.added;
+    totals.removed += s.counts.removed;
+    totals.changed += s.counts.changed;
+  }
+
+  return (
+    <div className="diffView">
+      <div className="diffSummary">
+        <span className="badge done">+{totals.added} added</span>
+        <span className="badge failed">−{totals.removed} removed</span>
+        <span className="badge running">~{totals.changed} changed</span>
+        <label className="toggleRow">
+          <input
+            type="checkbox"
+            checked={onlyChanges}
+            onChange={(e) => setOnlyChanges(e.target.checked)}
+          />
+          Only changes
+        </label>
+      </div>
+
+      {result.sections.map((s) => {
+        const changed = s.counts.added + s.counts.removed + s.counts.changed;
+        if (s.index === -1 && !s.rows.length) return null;
+        const rows = onlyChanges
+          ? s.rows.filter((r) => r.type !== "same")
+          : s.rows;
+        const renamed =
+          s.leftHeading && s.rightHeading && s.leftHeading !== s.rightHeading;
+
+        return (
+          <section key={s.index} className="diffSection">
+            <div className="diffSectionHead">
+              <div className="diffHeading">
+                {s.index >= 0 ? `Q${s.index + 1}. ` : ""}
+                {s.leftHeading || s.rightHeading}
+                {renamed ? (
+                  <div className="mutedSmall">Second: {s.rightHeading}</div>
+                ) : null}
+              </div>
+              <span className="mutedSmall">
+                {changed ? `${changed} change(s)` : "No changes"}
+              </span>
+            </div>
+            {s.missing ? (
+              <div className="fieldError">{missingNote(s.missing)}</div>
+            ) : null}
+            {rows.map((row, i) => (
+              <DiffRow key={i} row={row} />
+            ))}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
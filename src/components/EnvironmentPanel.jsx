@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import {
+  ENDPOINTS,
+  MOCK_PROFILE_ID,
+  checkEndpoint,
+  fetchMockScenarios,
+  selectMockScenario,
+} from "../lib/environments";
+
+function HealthBadge({ result }) {
+  if (!result) return null;
+  if (result.checking) {
+    return <span className="healthBadge">checking…</span>;
+  }
+  // no status: an opaque (no-cors) answer, or blocked by CORS
+  const label =
+    result.state === "down"
+      ? "down"
+      : result.status ?? (result.state === "ok" ? "reachable" : "CORS");
+  return (
+    <span
+      className={`healthBadge health-${result.state}`}
+      title={result.message}
+    >
+      {label} · {result.latencyMs} ms
+    </span>
+  );
+}
+
+// Which canned behaviour the dev server's mock backend plays back.
+function MockScenarioPicker() {
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    fetchMockScenarios()
+      .then((data) => alive && setInfo(data))
+      .catch((e) => alive && setError(e?.message || "Mock backend not found"));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  function choose(scenario) {
+    setError("");
+    selectMockScenario(scenario)
+      .then(setInfo)
+      .catch((e) => setError(e?.message || "Could not switch scenario"));
+  }
+
+  if (error) return <div className="rowError">Mock: {error}</div>;
+  if (!info) return null;
+  return (
+    <div className="apiLine">
+      <span className="apiLabel">Scenario</span>{" "}
+      <select
+        className="input inputInline"
+        value={info.scenario}
+        onChange={(e) => choose(e.target.value)}
+        title="Applies to reports confirmed from now on"
+      >
+        {info.scenarios.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default function EnvironmentPanel({
+  profiles,
+  activeId,
+  onSelect,
+  onSave,
+}) {
+  const active = profiles.find((p) => p.id === activeId) || profiles[0];
+  const [draft, setDraft] = useState(null);
+  // { [profileId]: { [endpointKey]: result } }
+  const [health, setHealth] = useState({});
+
+  async function checkAll() {
+    const profileId = active.id;
+    const targets = ENDPOINTS.filter((e) => active[e.key]);
+    setHealth((prev) => ({
+      ...prev,
+      [profileId]: Object.fromEntries(
+        targets.map((e) => [e.key, { checking: true }])
+      ),
+    }));
+    await Promise.all(
+      targets.map(async (e) => {
+        const result = await checkEndpoint(e.key, active[e.key]);
+        setHealth((prev) => ({
+          ...prev,
+          [profileId]: { ...prev[profileId], [e.key]: result },
+        }));
+      })
+    );
+  }
+
+  function save() {
+    onSave(draft);
+    // Old results describe the old URLs.
+    setHealth((prev) => ({ ...prev, [draft.id]: {} }));
+    setDraft(null);
+  }
+
+  const results = health[active.id] || {};
+  const checking = Object.values(results).some((r) => r.checking);
+
+  return (
+    <div className="envPanel">
+      <div className="envHead">
+        <span className="apiLabel">Environment</span>
+        <select
+          className="input"
+          value={active.id}
+          onChange={(e) => {
+            setDraft(null);
+            onSelect(e.target.value);
+          }}
+        >
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="chip"
+          onClick={checkAll}
+          disabled={checking || ENDPOINTS.every((e) => !active[e.key])}
+          title="Ping Confirm; ask Status and Presign about a made-up report. Nothing is submitted."
+        >
+          Check connectivity
+        </button>
+        {!draft ? (
+          <button className="chip" onClick={() => setDraft({ ...active })}>
+            Edit
+          </button>
+        ) : null}
+      </div>
+
+      {draft ? (
+        <div className="envForm">
+          <label className="label">Name</label>
+          <input
+            className="input"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          {ENDPOINTS.map((e) => (
+            <React.Fragment key={e.key}>
+              <label className="label">{e.label}</label>
+              <input
+                className="input mono"
+                value={draft[e.key]}
+                placeholder="https://…"
+                onChange={(ev) =>
+                  setDraft({ ...draft, [e.key]: ev.target.value })
+                }
+              />
+            </React.Fragment>
+          ))}
+          <div className="varRow">
+            <div>
+              <label className="label">Employee ID</label>
+              <input
+                className="input"
+                value={draft.employeeId}
+                onChange={(e) =>
+                  setDraft({ ...draft, employeeId: e.target.value })
+                }
+              />
+            </div>
+            <label className="toggleRow envBypass">
+              <input
+                type="checkbox"
+                checked={draft.bypass}
+                onChange={(e) =>
+                  setDraft({ ...draft, bypass: e.target.checked })
+                }
+              />{" "}
+              bypass
+            </label>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={save}>
+              Save {draft.name || "profile"}
+            </button>
+            <button className="btnSecondary" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {ENDPOINTS.map((e) => (
+            <div key={e.key} className="apiLine">
+              <span className="apiLabel">{e.label}</span>{" "}
+              <span className="apiValue">{active[e.key] || "(missing)"}</span>{" "}
+              <HealthBadge result={results[e.key]} />
+            </div>
+          ))}
+          <div className="apiLine">
+            <span className="apiLabel">Identity</span>{" "}
+            <span className="apiValue">
+              employee {active.employeeId || "(default)"} · bypass{" "}
+              {active.bypass ? "on" : "off"}
+            </span>
+          </div>
+          {active.id === MOCK_PROFILE_ID ? <MockScenarioPicker /> : null}
+        </>
+      )}
+    </div>
+  );
+}
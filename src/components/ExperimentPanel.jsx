@@ -0,0 +1,265 @@
+import React, { useState } from "react";
+import {
+  MAX_RUNS_PER_VARIANT,
+  MAX_VARIANTS,
+  experimentItems,
+  votedCount,
+  winRates,
+} from "../lib/experiments";
+
+function variantDraft(n, questions) {
+  return { label: `Variant ${n}`, text: questions.join("\n") };
+}
+
+function toQuestions(text) {
+  return text
+    .split("\n")
+    .map((q) => q.trim())
+    .filter(Boolean);
+}
+
+function WinRateTable({ experiment, history }) {
+  const rows = winRates(experiment, history);
+  return (
+    <table className="table experimentResults">
+      <thead>
+        <tr>
+          <th>Variant</th>
+          <th style={{ width: 70 }}>Win rate</th>
+          <th style={{ width: 90 }}>W / T / L</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.variant.id}>
+            <td title={r.variant.questions.join("\n")}>{r.variant.label}</td>
+            <td className="mono">
+              {r.winRate === null ? "–" : `${Math.round(r.winRate * 100)}%`}
+            </td>
+            <td className="mono">
+              {r.wins} / {r.ties} / {r.losses}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function ExperimentPanel({
+  defaultTopic,
+  defaultQuestions,
+  experiments,
+  history,
+  reviewingId,
+  onLaunch,
+  onStartReview,
+  onReveal,
+  onDelete,
+}) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [topic, setTopic] = useState("");
+  const [runs, setRuns] = useState(3);
+  const [variants, setVariants] = useState([]);
+
+  function startDraft() {
+    setName("");
+    setTopic(defaultTopic);
+    setRuns(3);
+    setVariants([
+      variantDraft(1, defaultQuestions),
+      variantDraft(2, defaultQuestions),
+    ]);
+    setOpen(true);
+  }
+
+  function updateVariant(i, patch) {
+    setVariants((prev) =>
+      prev.map((v, idx) => (idx === i ? { ...v, ...patch } : v))
+    );
+  }
+
+  function launch() {
+    const ok = onLaunch({
+      name,
+      topic,
+      runs: Number(runs),
+      variants: variants.map((v) => ({
+        label: v.label,
+        questions: toQuestions(v.text),
+      })),
+    });
+    if (ok) setOpen(false);
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <div className="cardTitleRow">
+        <div className="cardTitle">Blind Experiments</div>
+        {!open ? (
+          <button className="chip" onClick={startDraft}>
+            + New experiment
+          </button>
+        ) : null}
+      </div>
+
+      {open ? (
+        <div className="experimentDraft">
+          <label className="label">Name (optional)</label>
+          <input
+            className="input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <label className="label">Topic</label>
+          <input
+            className="input"
+            value={topic}
+            onChange={(e) => setTopic(e.target.value)}
+          />
+
+          {variants.map((v, i) => (
+            <div key={i} className="variantBox">
+              <div className="questionHead">
+                <input
+                  className="input"
+                  value={v.label}
+                  onChange={(e) => updateVariant(i, { label: e.target.value })}
+                  aria-label={`Variant ${i + 1} name`}
+                />
+                <button
+                  className="iconBtn"
+                  onClick={() =>
+                    setVariants((prev) => prev.filter((_, idx) => idx !== i))
+                  }
+                  disabled={variants.length <= 2}
+                  title="Remove variant"
+                >
+                  ×
+                </button>
+              </div>
+              <textarea
+                className="textarea"
+                rows={4}
+                value={v.text}
+                onChange={(e) => updateVariant(i, { text: e.target.value })}
+                placeholder="One question per line"
+              />
+            </div>
+          ))}
+
+          <div className="questionFooter">
+            <button
+              className="chip"
+              onClick={() =>
+                setVariants((prev) => [
+                  ...prev,
+                  variantDraft(prev.length + 1, defaultQuestions),
+                ])
+              }
+              disabled={variants.length >= MAX_VARIANTS}
+            >
+              + Add variant
+            </button>
+            <span className="limitInputs">
+              <span className="mutedSmall">Runs per variant</span>
+              <input
+                className="input inputTiny"
+                type="number"
+                min={1}
+                max={MAX_RUNS_PER_VARIANT}
+                value={runs}
+                onChange={(e) => setRuns(e.target.value)}
+              />
+            </span>
+          </div>
+
+          <div className="actions">
+            <button className="btn" onClick={launch}>
+              Launch {variants.length * (Number(runs) || 0)} report(s)
+            </button>
+            <button className="btnSecondary" onClick={() => setOpen(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {!experiments.length && !open ? (
+        <div className="empty">
+          Compare question-set variants without knowing which is which.
+        </div>
+      ) : null}
+
+      {experiments.map((exp) => {
+        const items = experimentItems(exp, history);
+        const total = exp.variants.length * exp.runs;
+        const done = items.filter((h) => h.status === "done").length;
+        const settled = items.filter(
+          (h) => h.status === "failed" || h.status === "cancelled"
+        ).length;
+        const voted = votedCount(exp);
+
+        return (
+          <div key={exp.id} className="experimentRow">
+            <div className="experimentHead">
+              <div>
+                <div className="titleCell">{exp.name}</div>
+                <div className="mutedSmall">
+                  {exp.topic} · {exp.variants.length} variants × {exp.runs} runs
+                </div>
+              </div>
+              <div className="batchSummary">
+                <span className="badge done">
+                  {done}/{total} done
+                </span>
+                {settled ? (
+                  <span className="badge failed">{settled} failed</span>
+                ) : null}
+                {exp.pairs.length ? (
+                  <span className="badge running">
+                    {voted}/{exp.pairs.length} voted
+                  </span>
+                ) : null}
+              </div>
+            </div>
+
+            <div className="rowActions">
+              {!exp.revealed ? (
+                <button
+                  className={reviewingId === exp.id ? "chip chipOn" : "chip"}
+                  onClick={() => onStartReview(exp.id)}
+                  disabled={done < 2}
+                  title={
+                    exp.pairs.length
+                      ? "Continue judging pairs"
+                      : "Pair up finished reports and start judging"
+                  }
+                >
+                  {exp.pairs.length ? "Continue review" : "Start blind review"}
+                </button>
+              ) : null}
+              {!exp.revealed ? (
+                <button
+                  className="chip"
+                  onClick={() => onReveal(exp.id)}
+                  disabled={!voted}
+                >
+                  Reveal
+                </button>
+              ) : null}
+              <button className="chipDanger" onClick={() => onDelete(exp.id)}>
+                Delete
+              </button>
+            </div>
+
+            {exp.revealed ? (
+              <WinRateTable experiment={exp} history={history} />
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
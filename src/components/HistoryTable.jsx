@@ -0,0 +1,303 @@
+import React, { useState } from "react";
+import CallInspector from "./CallInspector";
+import { isUrlExpired } from "../lib/presignedUrl";
+import { MAX_PANES } from "../lib/panes";
+import { averageScore, formatScore } from "../lib/rubric";
+
+function RowProgress({ progress, onKeepWaiting }) {
+  if (!progress) return null;
+  const pct = Math.max(0, Math.min(100, Math.round(progress.pct || 0)));
+
+  return (
+    <div className="rowProgress">
+      <div className="progressBar">
+        <div className="progressFill" style={{ width: `${pct}%` }} />
+      </div>
+      <div className="rowProgressSub">
+        {progress.sub} <span className="mono">{pct}%</span>
+      </div>
+      {progress.decision ? (
+        <div className="rowActions" style={{ marginTop: 6 }}>
+          <button className="chip" onClick={() => onKeepWaiting(true)}>
+            Keep waiting
+          </button>
+          <button className="chip" onClick={() => onKeepWaiting(false)}>
+            Stop polling
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default function HistoryTable({
+  items,
+  pinnedIds,
+  progress,
+  onTogglePin,
+  onRemove,
+  onRefreshStatus,
+  onKeepWaiting,
+  onCancel,
+  onRerun,
+  onLoadIntoForm,
+  onOpen,
+  linkState,
+  rubric,
+  now,
+  sort,
+  onSort,
+  selectedIds,
+  onSelect,
+}) {
+  const [inspectId, setInspectId] = useState(null);
+  const pageIds = items.map((h) => h.id);
+  const allSelected =
+    pageIds.length > 0 && pageIds.every((id) => selectedIds.has(id));
+
+  function sortHeader(key, label, style) {
+    const active = sort.sortKey === key;
+    return (
+      <th
+        style={style}
+        className="sortable"
+        onClick={() => onSort(key)}
+        aria-sort={
+          active
+            ? sort.sortDir === "asc"
+              ? "ascending"
+              : "descending"
+            : "none"
+        }
+      >
+        {label}
+        {active ? (sort.sortDir === "asc" ? " ▲" : " ▼") : ""}
+      </th>
+    );
+  }
+
+  return (
+    <div className="tableWrap">
+      <table className="table">
+        <thead>
+          <tr>
+            <th style={{ width: 28 }}>
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={(e) => onSelect(pageIds, e.target.checked)}
+                aria-label="Select all on this page"
+              />
+            </th>
+            {sortHeader("createdAt", "Time", { width: 140 })}
+            {sortHeader("title", "Title / Topic")}
+            {sortHeader("instantId", "Instant ID", { width: 120 })}
+            {sortHeader("status", "Status", { width: 150 })}
+            <th style={{ width: 280 }}>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((h) => {
+            const dt = h.createdAt ? new Date(h.createdAt) : null;
+            const timeStr = dt ? dt.toLocaleString() : "-";
+            const paneIndex = pinnedIds.indexOf(h.id);
+            const pinned = paneIndex !== -1;
+
+            return (
+              <React.Fragment key={h.id}>
+                <tr className={pinned ? "rowSelected" : ""}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(h.id)}
+                      onChange={(e) => onSelect([h.id], e.target.checked)}
+                      aria-label="Select report"
+                    />
+                  </td>
+                  <td className="mono">{timeStr}</td>
+                  <td>
+                    <div className="titleCell">{h.title || h.topic}</div>
+                    <div
+                      className="mutedSmall"
+                      title={
+                        h.request?.questions
+                          ? h.request.questions
+                              .map((q, i) => `${i + 1}. ${q}`)
+                              .join("\n")
+                          : undefined
+                      }
+                    >
+                      {h.topic}
+                      {h.request?.questions
+                        ? ` · ${h.request.questions.length} questions`
+                        : ""}
+                    </div>
+                    {h.template ? (
+                      <span
+                        className="pill pillInfo tagPill"
+                        title={
+                          h.template.modified
+                            ? "Form was edited after loading this template version"
+                            : undefined
+                        }
+                      >
+                        {h.template.name} v{h.template.version}
+                        {h.template.modified ? "*" : ""}
+                      </span>
+                    ) : null}
+                    {averageScore(h.review, rubric) !== null ? (
+                      <span
+                        className="pill pillGood tagPill"
+                        title={h.review.notes || undefined}
+                      >
+                        ★ {formatScore(averageScore(h.review, rubric))}
+                      </span>
+                    ) : null}
+                    {h.batchId ? (
+                      <span className="pill pillSoft tagPill">
+                        Batch: {h.batchName || h.batchId}
+                      </span>
+                    ) : null}
+                    {h.profile ? (
+                      <span
+                        className="pill pillSoft tagPill"
+                        title={`Sent by employee ${
+                          h.request?.employeeId || "?"
+                        } to the ${h.profile.name} environment`}
+                      >
+                        {h.profile.name}
+                      </span>
+                    ) : null}
+                  </td>
+                  <td className="mono">{h.instantId || "-"}</td>
+                  <td>
+                    <span
+                      className={`badge ${String(
+                        h.status || ""
+                      ).toLowerCase()}`}
+                    >
+                      {h.status || "-"}
+                    </span>
+                    <RowProgress
+                      progress={progress[h.id]}
+                      onKeepWaiting={(keep) => onKeepWaiting(h.id, keep)}
+                    />
+                    {h.error ? <div className="rowError">{h.error}</div> : null}
+                    {linkState[h.id]?.error ? (
+                      <div className="rowError">
+                        Link refresh failed: {linkState[h.id].error}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td>
+                    <div className="rowActions">
+                      <button
+                        className={pinned ? "chip chipOn" : "chip"}
+                        onClick={() => onTogglePin(h.id)}
+                        disabled={!pinned && pinnedIds.length >= MAX_PANES}
+                        title={
+                          pinned
+                            ? "Remove from the compare grid"
+                            : `Add to the compare grid (max ${MAX_PANES})`
+                        }
+                      >
+                        {pinned ? `Unpin (pane ${paneIndex + 1})` : "Pin"}
+                      </button>
+
+                      {h.pdfUrl ? (
+                        <a
+                          className={
+                            isUrlExpired(h, now)
+                              ? "chipLink chipStale"
+                              : "chipLink"
+                          }
+                          href={h.pdfUrl}
+                          target="_blank"
+                          rel="noreferrer"
+                          onClick={(e) => onOpen(h, e)}
+                          title={
+                            isUrlExpired(h, now)
+                              ? "Link expired — a fresh one is fetched on click"
+                              : undefined
+                          }
+                        >
+                          {linkState[h.id]?.refreshing ? "Refreshing…" : "Open"}
+                        </a>
+                      ) : (
+                        <span className="chipDisabled">No link</span>
+                      )}
+
+                      <button
+                        className="chip"
+                        onClick={() => onRerun(h)}
+                        disabled={!h.request}
+                        title={
+                          h.request
+                            ? "Submit exactly the same Confirm payload again, to the same environment"
+                            : "This item was created before payloads were stored"
+                        }
+                      >
+                        Re-run identical
+                      </button>
+                      <button
+                        className="chip"
+                        onClick={() => onLoadIntoForm(h)}
+                        title="Copy this report's topic and questions into the form"
+                      >
+                        Load into form
+                      </button>
+
+                      {progress[h.id] ? (
+                        <button
+                          className="chipDanger"
+                          onClick={() => onCancel(h.id)}
+                          title="Stop this report's requests and polling"
+                        >
+                          Cancel
+                        </button>
+                      ) : null}
+
+                      {h.userPhone && h.instantId && !progress[h.id] ? (
+                        <button
+                          className="chip"
+                          onClick={() => onRefreshStatus(h)}
+                          title="Ask the Status API again (resumes polling if unfinished)"
+                        >
+                          Refresh status
+                        </button>
+                      ) : null}
+
+                      <button
+                        className={inspectId === h.id ? "chip chipOn" : "chip"}
+                        onClick={() =>
+                          setInspectId(inspectId === h.id ? null : h.id)
+                        }
+                        title="Every Confirm / Status / Presign call for this report"
+                      >
+                        Log ({h.calls?.length || 0})
+                      </button>
+
+                      <button
+                        className="chipDanger"
+                        onClick={() => onRemove(h.id)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+                {inspectId === h.id ? (
+                  <tr className="inspectorRow">
+                    <td colSpan={6}>
+                      <CallInspector calls={h.calls} />
+                    </td>
+                  </tr>
+                ) : null}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import {
+  notificationPermission,
+  requestNotificationPermission,
+} from "../lib/notify";
+
+export default function NotificationSettings({ settings, onChange }) {
+  const [permission, setPermission] = useState(() => notificationPermission());
+
+  async function toggleNotifications(on) {
+    if (!on) {
+      onChange({ ...settings, notifications: false });
+      return;
+    }
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    onChange({ ...settings, notifications: result === "granted" });
+  }
+
+  const blocked = permission === "denied" || permission === "unsupported";
+
+  return (
+    <div className="notifyRow">
+      <label
+        className="toggleRow"
+        title="When a report finishes in a background tab"
+      >
+        <input
+          type="checkbox"
+          checked={settings.notifications && permission === "granted"}
+          disabled={blocked}
+          onChange={(e) => toggleNotifications(e.target.checked)}
+        />{" "}
+        Notify when done
+      </label>
+      <label className="toggleRow">
+        <input
+          type="checkbox"
+          checked={settings.sound}
+          onChange={(e) => onChange({ ...settings, sound: e.target.checked })}
+        />{" "}
+        Sound
+      </label>
+      {blocked ? (
+        <span className="mutedSmall">
+          {permission === "denied"
+            ? "Notifications are blocked in this browser's site settings."
+            : "This browser doesn't support notifications."}
+        </span>
+      ) : null}
+    </div>
+  );
+}
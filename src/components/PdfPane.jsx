@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import PdfViewer from "./PdfViewer";
+import ReviewPanel from "./ReviewPanel";
+import { averageScore, formatScore } from "../lib/rubric";
+
+function linkState({ item, expired, refreshing, linkError }) {
+  if (!item?.pdfUrl) return null;
+  if (refreshing) return "refreshing";
+  if (expired) return linkError ? "error" : "expired";
+  return "ok";
+}
+
+export default function PdfPane({
+  label,
+  item,
+  expired,
+  refreshing,
+  linkError,
+  onOpen,
+  onRefreshLink,
+  sync,
+  blind = false,
+  rubric = [],
+  onReviewChange,
+  maximized,
+  canMoveBack,
+  canMoveForward,
+  onMove,
+  onToggleMaximized,
+  onClose,
+}) {
+  const state = linkState({ item, expired, refreshing, linkError });
+  // pdf.js needs CORS on the bucket; if it can't load a URL, fall back to the
+  // browser's own viewer for that URL.
+  const [fallbackUrl, setFallbackUrl] = useState(null);
+  const useFrame = state === "ok" && fallbackUrl === item.pdfUrl;
+  const [showReview, setShowReview] = useState(false);
+  const avg = averageScore(item?.review, rubric);
+
+  return (
+    <div className="pdfPane">
+      <div className="pdfPaneHeader">
+        <div className="paneTitle">{label}</div>
+        <div className="paneMeta">
+          {blind ? (
+            <span className="mutedSmall">Identity hidden</span>
+          ) : item ? (
+            <>
+              <span className="mono">{item.instantId || item.id}</span>
+              <span className="dot">•</span>
+              <span className="mutedSmall">{item.title || item.topic}</span>
+            </>
+          ) : (
+            <span className="mutedSmall">No selection</span>
+          )}
+        </div>
+        <div className="paneTools">
+          {state ? (
+            <a
+              className="openBtn"
+              href={item.pdfUrl}
+              target="_blank"
+              rel="noreferrer"
+              onClick={(e) => onOpen(item, e)}
+            >
+              Open
+            </a>
+          ) : null}
+          {blind ? null : (
+            <>
+              <button
+                className={showReview ? "chip chipOn" : "chip"}
+                onClick={() => setShowReview((v) => !v)}
+                title="Score this report"
+              >
+                {avg === null ? "Review" : `★ ${formatScore(avg)}`}
+              </button>
+              <button
+                className="iconBtn"
+                onClick={() => onMove(-1)}
+                disabled={!canMoveBack || maximized}
+                title="Move earlier"
+              >
+                ←
+              </button>
+              <button
+                className="iconBtn"
+                onClick={() => onMove(1)}
+                disabled={!canMoveForward || maximized}
+                title="Move later"
+              >
+                →
+              </button>
+              <button
+                className="iconBtn"
+                onClick={onToggleMaximized}
+                title={maximized ? "Restore grid" : "Maximise"}
+              >
+                {maximized ? "▭" : "⛶"}
+              </button>
+              <button className="iconBtn" onClick={onClose} title="Close pane">
+                ×
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {showReview && item ? (
+        <ReviewPanel item={item} rubric={rubric} onChange={onReviewChange} />
+      ) : null}
+
+      {useFrame ? (
+        <>
+          <div className="pdfFallbackNote">
+            In-app viewer unavailable; page sync is off for this pane.
+          </div>
+          <iframe
+            key={item.pdfUrl} // forces reload only when URL changes
+            className="pdfFrame"
+            src={item.pdfUrl}
+            title={`${label} PDF`}
+          />
+        </>
+      ) : state === "ok" ? (
+        <PdfViewer
+          key={item.pdfUrl}
+          url={item.pdfUrl}
+          title={`${label} PDF`}
+          sync={sync}
+          onError={() => setFallbackUrl(item.pdfUrl)}
+        />
+      ) : state ? (
+        <div className="pdfEmpty">
+          <div className="emptyTitle">
+            {state === "error" ? "Link expired" : "Link expired — refreshing…"}
+          </div>
+          <div className="emptySub">
+            {state === "error"
+              ? linkError
+              : "The presigned URL timed out; fetching a new one."}
+          </div>
+          {state === "error" ? (
+            <button
+              className="btnSecondary"
+              style={{ marginTop: 10 }}
+              onClick={() => onRefreshLink(item)}
+            >
+              Try again
+            </button>
+          ) : null}
+        </div>
+      ) : (
+        <div className="pdfEmpty">
+          <div className="emptyTitle">No PDF yet</div>
+          <div className="emptySub">
+            This report is {item?.status || "not ready"}; the PDF shows up here
+            once it's done.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
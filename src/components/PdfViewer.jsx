@@ -0,0 +1,403 @@
+import React, {
+  useEffect,
+  useEffectEvent,
+  useId,
+  useRef,
+  useState,
+} from "react";
+import { acquirePdfDocument } from "../lib/pdf";
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+const PAGE_GAP = 12;
+const THUMB_WIDTH = 96;
+
+// Renders one page into a canvas once it is (nearly) on screen.
+function PageCanvas({ doc, pageNumber, scale, visible }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    let task = null;
+    let cancelled = false;
+
+    doc
+      .getPage(pageNumber)
+      .then((page) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        const viewport = page.getViewport({ scale });
+        canvas.width = Math.floor(viewport.width * dpr);
+        canvas.height = Math.floor(viewport.height * dpr);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        task = page.render({
+          canvas,
+          viewport,
+          transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : undefined,
+        });
+        task.promise.catch(() => {
+          // cancelled renders reject; nothing to do
+        });
+      })
+      .catch(() => {
+        // page failed to load; leave the canvas blank
+      });
+
+    return () => {
+      cancelled = true;
+      task?.cancel();
+    };
+  }, [doc, pageNumber, scale, visible]);
+
+  return <canvas ref={canvasRef} className="pdfCanvas" />;
+}
+
+// Tracks which children of `root` are near the viewport.
+function useVisibleSet(rootRef, itemRefs, count, rootMargin) {
+  const [visible, setVisible] = useState(() => new Set());
+
+  useEffect(() => {
+    const root = rootRef.current;
+    if (!root || !count) return;
+
+    const io = new IntersectionObserver(
+      (entries) => {
+        setVisible((prev) => {
+          const next = new Set(prev);
+          for (const e of entries) {
+            const n = Number(e.target.dataset.page);
+            if (e.isIntersecting) next.add(n);
+            else next.delete(n);
+          }
+          return next;
+        });
+      },
+      { root, rootMargin }
+    );
+    itemRefs.current.slice(0, count).forEach((el) => el && io.observe(el));
+    return () => io.disconnect();
+  }, [rootRef, itemRefs, count, rootMargin]);
+
+  return visible;
+}
+
+/**
+ * In-app PDF viewer (pdf.js) with page thumbnails and zoom.
+ *
+ * `sync` is an optional scroll-sync channel (see lib/scrollSync): while set,
+ * this viewer publishes its page/offset and follows everyone else's.
+ * `onError` is called when the document can't be loaded (e.g. CORS), so the
+ * caller can fall back to the browser's own viewer. Render it with
+ * `key={url}` so a new URL starts a fresh viewer.
+ */
+export default function PdfViewer({ url, title, sync, onError }) {
+  const viewerId = useId();
+  const scrollRef = useRef(null);
+  const thumbsRef = useRef(null);
+  const pageRefs = useRef([]);
+  const thumbRefs = useRef([]);
+
+  const [doc, setDoc] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [sizes, setSizes] = useState([]); // [{ width, height }] at scale 1
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [zoom, setZoom] = useState(1); // 1 = fit width
+  const [page, setPage] = useState(1);
+  const [pageInput, setPageInput] = useState("1");
+  const [showThumbs, setShowThumbs] = useState(true);
+
+  // Last known position, so zoom changes and sync keep the same spot.
+  const positionRef = useRef({ page: 1, offset: 0 });
+  // Ignore the scroll event caused by our own programmatic scroll.
+  const suppressRef = useRef(false);
+  const frameRef = useRef(0);
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  }, [onError]);
+
+  // Load document + page sizes (callers key the viewer by URL, so this only
+  // ever starts from a blank state). The document is held while mounted.
+  useEffect(() => {
+    let cancelled = false;
+    const { promise, release } = acquirePdfDocument(url);
+
+    promise
+      .then(async (pdf) => {
+        const dims = [];
+        for (let n = 1; n <= pdf.numPages; n++) {
+          const p = await pdf.getPage(n);
+          const vp = p.getViewport({ scale: 1 });
+          dims.push({ width: vp.width, height: vp.height });
+        }
+        if (cancelled) return;
+        setDoc(pdf);
+        setSizes(dims);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        const msg = e?.message || "Could not load PDF";
+        setLoadError(msg);
+        onErrorRef.current?.(msg);
+      });
+
+    return () => {
+      cancelled = true;
+      release();
+    };
+  }, [url]);
+
+  // Fit-to-width base scale follows the pane size
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const ro = new ResizeObserver(([entry]) =>
+      setContainerWidth(entry.contentRect.width)
+    );
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [doc]);
+
+  const baseScale =
+    sizes.length && containerWidth
+      ? Math.max(0.1, (containerWidth - 2 * PAGE_GAP) / sizes[0].width)
+      : 1;
+  const scale = baseScale * zoom;
+  const numPages = sizes.length;
+
+  const visiblePages = useVisibleSet(
+    scrollRef,
+    pageRefs,
+    numPages,
+    "600px 0px"
+  );
+  const visibleThumbs = useVisibleSet(
+    thumbsRef,
+    thumbRefs,
+    showThumbs ? numPages : 0,
+    "200px 0px"
+  );
+
+  function scrollToPosition({ page: p, offset = 0 }) {
+    const el = scrollRef.current;
+    const target = pageRefs.current[p - 1];
+    if (!el || !target) return;
+    const top = Math.max(
+      0,
+      target.offsetTop - PAGE_GAP + offset * target.offsetHeight
+    );
+    if (Math.abs(el.scrollTop - top) >= 1) {
+      suppressRef.current = true;
+      el.scrollTop = top;
+    }
+    positionRef.current = { page: p, offset };
+    setPage(p);
+    setPageInput(String(p));
+  }
+
+  function goToPage(p) {
+    if (!numPages) return;
+    const clamped = Math.max(1, Math.min(numPages, p));
+    scrollToPosition({ page: clamped, offset: 0 });
+    sync?.publish(viewerId, { page: clamped, offset: 0 });
+  }
+
+  function readPosition() {
+    const el = scrollRef.current;
+    if (!el) return null;
+    const top = el.scrollTop + PAGE_GAP;
+    for (let i = 0; i < numPages; i++) {
+      const node = pageRefs.current[i];
+      if (!node) continue;
+      const end = node.offsetTop + node.offsetHeight + PAGE_GAP;
+      if (top < end || i === numPages - 1) {
+        const offset = Math.max(
+          0,
+          Math.min(1, (top - node.offsetTop) / node.offsetHeight)
+        );
+        return { page: i + 1, offset };
+      }
+    }
+    return null;
+  }
+
+  function onScroll() {
+    if (suppressRef.current) {
+      suppressRef.current = false;
+      return;
+    }
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(() => {
+      const pos = readPosition();
+      if (!pos) return;
+      positionRef.current = pos;
+      setPage(pos.page);
+      setPageInput(String(pos.page));
+      sync?.publish(viewerId, pos);
+    });
+  }
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  // Follow other viewers while locked
+  const followPosition = useEffectEvent((pos) => scrollToPosition(pos));
+  useEffect(() => {
+    if (!sync) return;
+    return sync.subscribe(viewerId, (pos) => followPosition(pos));
+  }, [sync, viewerId]);
+
+  // Keep the same spot when the scale changes
+  const restorePosition = useEffectEvent(() => {
+    if (numPages) scrollToPosition(positionRef.current);
+  });
+  useEffect(() => {
+    restorePosition();
+  }, [scale, numPages]);
+
+  // Keep the active thumbnail in view
+  useEffect(() => {
+    thumbRefs.current[page - 1]?.scrollIntoView({ block: "nearest" });
+  }, [page]);
+
+  function changeZoom(next) {
+    setZoom(Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, next)));
+  }
+
+  if (loadError) {
+    return <div className="pdfEmpty">Could not load PDF: {loadError}</div>;
+  }
+
+  return (
+    <div className="pdfViewer">
+      <div className="pdfToolbar">
+        <button
+          className="iconBtn"
+          onClick={() => setShowThumbs((v) => !v)}
+          title={showThumbs ? "Hide thumbnails" : "Show thumbnails"}
+        >
+          ☰
+        </button>
+        <button
+          className="iconBtn"
+          onClick={() => goToPage(page - 1)}
+          disabled={page <= 1}
+          title="Previous page"
+        >
+          ‹
+        </button>
+        <input
+          className="input inputTiny"
+          value={pageInput}
+          onChange={(e) => setPageInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") goToPage(Number(pageInput) || page);
+          }}
+          onBlur={() => setPageInput(String(page))}
+          aria-label="Page number"
+        />
+        <span className="mutedSmall">/ {numPages || "…"}</span>
+        <button
+          className="iconBtn"
+          onClick={() => goToPage(page + 1)}
+          disabled={page >= numPages}
+          title="Next page"
+        >
+          ›
+        </button>
+
+        <span className="toolbarSpacer" />
+
+        <button
+          className="iconBtn"
+          onClick={() => changeZoom(zoom - ZOOM_STEP)}
+          disabled={zoom <= MIN_ZOOM}
+          title="Zoom out"
+        >
+          −
+        </button>
+        <span className="mutedSmall mono">{Math.round(zoom * 100)}%</span>
+        <button
+          className="iconBtn"
+          onClick={() => changeZoom(zoom + ZOOM_STEP)}
+          disabled={zoom >= MAX_ZOOM}
+          title="Zoom in"
+        >
+          +
+        </button>
+        <button
+          className="chip"
+          onClick={() => changeZoom(1)}
+          disabled={zoom === 1}
+          title="Fit page width"
+        >
+          Fit
+        </button>
+      </div>
+
+      <div className="pdfViewerBody">
+        {showThumbs && numPages ? (
+          <div className="pdfThumbs" ref={thumbsRef}>
+            {sizes.map((s, i) => (
+              <button
+                key={i}
+                ref={(el) => (thumbRefs.current[i] = el)}
+                data-page={i + 1}
+                className={`pdfThumb${page === i + 1 ? " pdfThumbActive" : ""}`}
+                style={{ height: (THUMB_WIDTH / s.width) * s.height + 22 }}
+                onClick={() => goToPage(i + 1)}
+                title={`Page ${i + 1}`}
+              >
+                {doc ? (
+                  <PageCanvas
+                    doc={doc}
+                    pageNumber={i + 1}
+                    scale={THUMB_WIDTH / s.width}
+                    visible={visibleThumbs.has(i + 1)}
+                  />
+                ) : null}
+                <span className="pdfThumbNum">{i + 1}</span>
+              </button>
+            ))}
+          </div>
+        ) : null}
+
+        <div
+          className="pdfScroll"
+          ref={scrollRef}
+          onScroll={onScroll}
+          aria-label={title}
+        >
+          {!doc ? <div className="pdfEmpty">Loading PDF…</div> : null}
+          {sizes.map((s, i) => (
+            <div
+              key={i}
+              ref={(el) => (pageRefs.current[i] = el)}
+              data-page={i + 1}
+              className="pdfPage"
+              style={{
+                width: Math.floor(s.width * scale),
+                height: Math.floor(s.height * scale),
+                marginTop: PAGE_GAP,
+              }}
+            >
+              {doc ? (
+                <PageCanvas
+                  doc={doc}
+                  pageNumber={i + 1}
+                  scale={scale}
+                  visible={visiblePages.has(i + 1)}
+                />
+              ) : null}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useMemo, useState } from "react";
+import {
+  PERCENTILES,
+  durationStats,
+  failureBreakdown,
+  finishedItems,
+  trend,
+} from "../lib/analytics";
+import { formatDuration } from "../lib/timings";
+
+const RANGES = [
+  { days: 7, label: "7 days", bucket: "day" },
+  { days: 30, label: "30 days", bucket: "day" },
+  { days: 90, label: "90 days", bucket: "week" },
+];
+
+function formatRate(rate) {
+  return rate === null ? "–" : `${Math.round(rate * 100)}%`;
+}
+
+// p99 / p90 / p50 drawn on top of each other, longest first.
+function PercentileBars({ rows }) {
+  const max = Math.max(
+    1,
+    ...rows.map((r) => r.p99 ?? r.p90 ?? r.p50 ?? 0).filter(Number.isFinite)
+  );
+  return (
+    <div className="pctChart">
+      {rows.map((r) => (
+        <div key={r.key} className="pctRow">
+          <div className="pctLabel">
+            {r.label}
+            <span className="mutedSmall"> ({r.count})</span>
+          </div>
+          <div className="pctTrack">
+            {[...PERCENTILES]
+              .reverse()
+              .map((p) =>
+                r[`p${p}`] !== null ? (
+                  <div
+                    key={p}
+                    className={`pctBar pct${p}`}
+                    style={{ width: `${(r[`p${p}`] / max) * 100}%` }}
+                    title={`p${p} ${formatDuration(r[`p${p}`])}`}
+                  />
+                ) : null
+              )}
+          </div>
+          <div className="pctValues mono">
+            {PERCENTILES.map((p) => formatDuration(r[`p${p}`])).join(" / ")}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TrendBars({ rows, value, format, className }) {
+  const max = Math.max(0, ...rows.map(value).filter(Number.isFinite));
+  return (
+    <div className="trendBars">
+      {rows.map((r) => {
+        const v = value(r);
+        return (
+          <div
+            key={r.key}
+            className="trendCol"
+            title={`${r.label}: ${format(v)} · ${r.count} report(s)`}
+          >
+            <div
+              className={`trendBar ${className}`}
+              style={{
+                height: v === null || !max ? 0 : `${(v / max) * 100}%`,
+              }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function PerformanceDashboard({ items, profiles, now }) {
+  const [profileId, setProfileId] = useState("");
+  const [days, setDays] = useState(30);
+  const range = RANGES.find((r) => r.days === days) || RANGES[1];
+
+  const { stats, failures, rows } = useMemo(() => {
+    const to = now;
+    const from = to - range.days * 86400000;
+    const finished = finishedItems(items, { profileId, from, to });
+    return {
+      stats: durationStats(finished),
+      failures: failureBreakdown(finished),
+      rows: trend(finished, { bucket: range.bucket, from, to }),
+    };
+  }, [items, profileId, range, now]);
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <div className="cardTitleRow">
+        <div className="cardTitle">Generation Performance</div>
+        <div className="mutedSmall">
+          {failures.finished} finished · {formatRate(failures.rate)} failed
+        </div>
+      </div>
+
+      <div className="filterRow">
+        <select
+          className="input"
+          value={profileId}
+          onChange={(e) => setProfileId(e.target.value)}
+        >
+          <option value="">All environments</option>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <select
+          className="input"
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+        >
+          {RANGES.map((r) => (
+            <option key={r.days} value={r.days}>
+              Last {r.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!failures.finished ? (
+        <div className="empty">
+          No finished reports in this range. Stage timings are recorded for
+          reports generated from now on.
+        </div>
+      ) : (
+        <>
+          <div className="label">
+            Stage durations (p{PERCENTILES.join(" / p")})
+          </div>
+          <PercentileBars rows={stats} />
+
+          <div className="label">Median end-to-end time per {range.bucket}</div>
+          <TrendBars
+            rows={rows}
+            value={(r) => r.p50}
+            format={formatDuration}
+            className="trendTime"
+          />
+          <div className="label">Failure rate per {range.bucket}</div>
+          <TrendBars
+            rows={rows}
+            value={(r) => r.failureRate}
+            format={formatRate}
+            className="trendFail"
+          />
+
+          {failures.reasons.length ? (
+            <>
+              <div className="label">Failures by error</div>
+              <table className="table">
+                <tbody>
+                  {failures.reasons.map((r) => (
+                    <tr key={r.message}>
+                      <td>{r.message}</td>
+                      <td className="mono" style={{ width: 40 }}>
+                        {r.count}
+                      </td>
+                      <td className="mono" style={{ width: 48 }}>
+                        {formatRate(r.share)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
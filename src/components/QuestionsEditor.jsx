@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import { HARD_MAX_QUESTIONS, moveItem } from "../lib/questions";
+
+export default function QuestionsEditor({
+  questions,
+  onChange,
+  limits,
+  onLimitsChange,
+  validation,
+  showErrors,
+}) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  function update(i, val) {
+    onChange(questions.map((q, idx) => (idx === i ? val : q)));
+  }
+
+  function add() {
+    if (questions.length >= limits.max) return;
+    onChange([...questions, ""]);
+  }
+
+  function remove(i) {
+    if (questions.length <= limits.min) return;
+    onChange(questions.filter((_, idx) => idx !== i));
+  }
+
+  function drop(i) {
+    if (dragIndex !== null) onChange(moveItem(questions, dragIndex, i));
+    setDragIndex(null);
+    setOverIndex(null);
+  }
+
+  return (
+    <div className="questionsEditor">
+      {questions.map((q, i) => {
+        const err = showErrors ? validation.errors[i] : "";
+        return (
+          <div
+            key={i}
+            className={`questionItem${overIndex === i ? " questionOver" : ""}${
+              dragIndex === i ? " questionDragging" : ""
+            }`}
+            onDragOver={(e) => {
+              if (dragIndex === null) return;
+              e.preventDefault();
+              setOverIndex(i);
+            }}
+            onDragLeave={() => setOverIndex((v) => (v === i ? null : v))}
+            onDrop={(e) => {
+              e.preventDefault();
+              drop(i);
+            }}
+          >
+            <div className="questionHead">
+              <span
+                className="dragHandle"
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = "move";
+                  setDragIndex(i);
+                }}
+                onDragEnd={() => {
+                  setDragIndex(null);
+                  setOverIndex(null);
+                }}
+                title="Drag to reorder"
+              >
+                ⋮⋮
+              </span>
+              <label className="label">Question {i + 1}</label>
+              <div className="questionTools">
+                <button
+                  className="iconBtn"
+                  onClick={() => onChange(moveItem(questions, i, i - 1))}
+                  disabled={i === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  className="iconBtn"
+                  onClick={() => onChange(moveItem(questions, i, i + 1))}
+                  disabled={i === questions.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  className="iconBtn"
+                  onClick={() => remove(i)}
+                  disabled={questions.length <= limits.min}
+                  title={`Remove (minimum ${limits.min})`}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+            <textarea
+              className={`textarea${err ? " inputInvalid" : ""}`}
+              value={q}
+              onChange={(e) => update(i, e.target.value)}
+              rows={2}
+            />
+            {err ? <div className="fieldError">{err}</div> : null}
+          </div>
+        );
+      })}
+
+      {showErrors && validation.countError ? (
+        <div className="fieldError">{validation.countError}</div>
+      ) : null}
+
+      <div className="questionFooter">
+        <button
+          className="chip"
+          onClick={add}
+          disabled={questions.length >= limits.max}
+        >
+          + Add question
+        </button>
+        <span className="mutedSmall">
+          {questions.length} of {limits.min}–{limits.max}
+        </span>
+        <span className="limitInputs">
+          <span className="mutedSmall">Min</span>
+          <input
+            className="input inputTiny"
+            type="number"
+            min={1}
+            max={HARD_MAX_QUESTIONS}
+            value={limits.min}
+            onChange={(e) =>
+              onLimitsChange({ ...limits, min: Number(e.target.value) })
+            }
+          />
+          <span className="mutedSmall">Max</span>
+          <input
+            className="input inputTiny"
+            type="number"
+            min={1}
+            max={HARD_MAX_QUESTIONS}
+            value={limits.max}
+            onChange={(e) =>
+              onLimitsChange({ ...limits, max: Number(e.target.value) })
+            }
+          />
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import {
+  SCORE_MAX,
+  SCORE_MIN,
+  averageScore,
+  formatScore,
+  setNotes,
+  setScore,
+} from "../lib/rubric";
+
+const SCORES = Array.from(
+  { length: SCORE_MAX - SCORE_MIN + 1 },
+  (_, i) => SCORE_MIN + i
+);
+
+// Scores + notes for one report. Clicking the current score clears it.
+export default function ReviewPanel({ item, rubric, onChange }) {
+  const review = item.review;
+
+  return (
+    <div className="reviewPanel">
+      {rubric.map((c) => {
+        const current = review?.scores?.[c.id];
+        return (
+          <div key={c.id} className="reviewRow">
+            <span className="reviewLabel">{c.label}</span>
+            <span className="scoreButtons">
+              {SCORES.map((n) => (
+                <button
+                  key={n}
+                  className={`scoreBtn${current === n ? " scoreOn" : ""}`}
+                  onClick={() =>
+                    onChange(
+                      item.id,
+                      setScore(review, c.id, current === n ? null : n)
+                    )
+                  }
+                  title={current === n ? "Clear score" : `Score ${n}`}
+                >
+                  {n}
+                </button>
+              ))}
+            </span>
+          </div>
+        );
+      })}
+
+      <textarea
+        className="textarea"
+        rows={2}
+        placeholder="Notes…"
+        value={review?.notes || ""}
+        onChange={(e) => onChange(item.id, setNotes(review, e.target.value))}
+      />
+      <div className="mutedSmall">
+        Average: {formatScore(averageScore(review, rubric))}
+        {review?.updatedAt
+          ? ` · updated ${new Date(review.updatedAt).toLocaleString()}`
+          : ""}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from "react";
+import {
+  addCriterion,
+  formatScore,
+  removeCriterion,
+  renameCriterion,
+  summarizeReviews,
+} from "../lib/rubric";
+
+const GROUPS = [
+  { value: "topic", label: "Topic" },
+  { value: "template", label: "Template" },
+  { value: "week", label: "Week" },
+];
+
+export default function ReviewSummary({ items, rubric, onRubricChange }) {
+  const [groupBy, setGroupBy] = useState("topic");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [newLabel, setNewLabel] = useState("");
+
+  const rows = useMemo(
+    () => summarizeReviews(items, rubric, { groupBy, from, to }),
+    [items, rubric, groupBy, from, to]
+  );
+  const reviewed = rows.reduce((n, r) => n + r.count, 0);
+
+  function add() {
+    if (!newLabel.trim()) return;
+    onRubricChange(addCriterion(rubric, newLabel));
+    setNewLabel("");
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <div className="cardTitleRow">
+        <div className="cardTitle">Review Summary</div>
+        <button className="chip" onClick={() => setEditing((v) => !v)}>
+          {editing ? "Done" : "Edit rubric"}
+        </button>
+      </div>
+
+      {editing ? (
+        <div className="rubricEditor">
+          {rubric.map((c) => (
+            <div key={c.id} className="rubricRow">
+              <input
+                className="input"
+                value={c.label}
+                onChange={(e) =>
+                  onRubricChange(renameCriterion(rubric, c.id, e.target.value))
+                }
+              />
+              <button
+                className="iconBtn"
+                onClick={() => onRubricChange(removeCriterion(rubric, c.id))}
+                disabled={rubric.length <= 1}
+                title="Remove criterion (existing scores are kept)"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <div className="rubricRow">
+            <input
+              className="input"
+              placeholder="New criterion…"
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") add();
+              }}
+            />
+            <button className="chip" onClick={add} disabled={!newLabel.trim()}>
+              Add
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      <div className="filterRow">
+        <select
+          className="input"
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+        >
+          {GROUPS.map((g) => (
+            <option key={g.value} value={g.value}>
+              By {g.label.toLowerCase()}
+            </option>
+          ))}
+        </select>
+        <input
+          className="input"
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          aria-label="From date"
+        />
+        <input
+          className="input"
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          aria-label="To date"
+        />
+      </div>
+
+      {!rows.length ? (
+        <div className="empty">
+          No reviewed reports{from || to ? " in this date range" : ""} yet.
+          Score a report from its pane in the compare grid.
+        </div>
+      ) : (
+        <div className="tableWrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{GROUPS.find((g) => g.value === groupBy).label}</th>
+                <th style={{ width: 50 }}>N</th>
+                <th style={{ width: 60 }}>Overall</th>
+                {rubric.map((c) => (
+                  <th key={c.id} style={{ width: 70 }}>
+                    {c.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key}>
+                  <td>{r.label}</td>
+                  <td className="mono">{r.count}</td>
+                  <td className="mono">
+                    <b>{formatScore(r.overall)}</b>
+                  </td>
+                  {rubric.map((c) => (
+                    <td key={c.id} className="mono">
+                      {formatScore(r.byCriterion[c.id])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {rows.length ? (
+        <div className="mutedSmall" style={{ marginTop: 6 }}>
+          {reviewed} reviewed report(s)
+        </div>
+      ) : null}
+    </div>
+  );
+}
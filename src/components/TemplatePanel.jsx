@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from "react";
+import {
+  PLACEHOLDERS,
+  addVersion,
+  createTemplate,
+  duplicateTemplate,
+  findVersion,
+  latestVersion,
+  loadTemplates,
+  renameTemplate,
+  sameContent,
+  saveTemplates,
+} from "../lib/templates";
+
+function toRef(template, version) {
+  return {
+    id: template.id,
+    name: template.name,
+    version: version.version,
+    topic: version.topic,
+    questions: version.questions,
+  };
+}
+
+// `active` is the template version last loaded/saved into the form (a
+// snapshot, so the form can tell when it has drifted from it).
+export default function TemplatePanel({
+  form,
+  active,
+  onApply,
+  onActiveChange,
+}) {
+  const [templates, setTemplates] = useState(() => loadTemplates());
+
+  useEffect(() => {
+    saveTemplates(templates);
+  }, [templates]);
+
+  const current = templates.find((t) => t.id === active?.id) || null;
+  const dirty = !!current && !sameContent(active, form);
+
+  function replace(updated) {
+    setTemplates((prev) =>
+      prev.map((t) => (t.id === updated.id ? updated : t))
+    );
+  }
+
+  function pick(id) {
+    const t = templates.find((x) => x.id === id);
+    if (!t) {
+      onActiveChange(null);
+      return;
+    }
+    onApply(toRef(t, latestVersion(t)));
+  }
+
+  function pickVersion(version) {
+    const v = findVersion(current, Number(version));
+    if (v) onApply(toRef(current, v));
+  }
+
+  function saveVersion() {
+    if (!current || !dirty) return;
+    const updated = addVersion(current, form);
+    replace(updated);
+    onActiveChange(toRef(updated, latestVersion(updated)));
+  }
+
+  function saveAsNew() {
+    const name = prompt("Template name", active?.name || form.topic);
+    if (!name?.trim()) return;
+    const t = createTemplate(name.trim(), form);
+    setTemplates((prev) => [...prev, t]);
+    onActiveChange(toRef(t, latestVersion(t)));
+  }
+
+  function rename() {
+    if (!current) return;
+    const name = prompt("Rename template", current.name);
+    if (!name?.trim()) return;
+    const updated = renameTemplate(current, name.trim());
+    replace(updated);
+    onActiveChange({ ...active, name: updated.name });
+  }
+
+  function duplicate() {
+    if (!current) return;
+    const name = prompt("Name for the copy", `${current.name} (copy)`);
+    if (!name?.trim()) return;
+    const t = duplicateTemplate(current, name.trim());
+    setTemplates((prev) => [...prev, t]);
+    onApply(toRef(t, latestVersion(t)));
+  }
+
+  function remove() {
+    if (!current) return;
+    if (!confirm(`Delete template “${current.name}” and all its versions?`)) {
+      return;
+    }
+    setTemplates((prev) => prev.filter((t) => t.id !== current.id));
+    onActiveChange(null);
+  }
+
+  return (
+    <div className="templateBox">
+      <div className="templateRow">
+        <select
+          className="input"
+          value={current?.id || ""}
+          onChange={(e) => pick(e.target.value)}
+        >
+          <option value="">No template</option>
+          {templates.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+
+        {current ? (
+          <select
+            className="input inputNarrow"
+            value={active.version}
+            onChange={(e) => pickVersion(e.target.value)}
+            title="Template version"
+          >
+            {current.versions.map((v) => (
+              <option key={v.version} value={v.version}>
+                v{v.version}
+              </option>
+            ))}
+          </select>
+        ) : null}
+      </div>
+
+      {dirty ? (
+        <div className="warnSmall">
+          Unsaved changes since v{active.version}.
+        </div>
+      ) : null}
+
+      <div className="rowActions" style={{ marginTop: 8 }}>
+        <button
+          className="chip"
+          onClick={saveVersion}
+          disabled={!dirty}
+          title="Save the form as a new version of this template"
+        >
+          Save version
+        </button>
+        <button className="chip" onClick={saveAsNew}>
+          Save as new…
+        </button>
+        <button className="chip" onClick={rename} disabled={!current}>
+          Rename
+        </button>
+        <button className="chip" onClick={duplicate} disabled={!current}>
+          Duplicate
+        </button>
+        <button className="chipDanger" onClick={remove} disabled={!current}>
+          Delete
+        </button>
+      </div>
+
+      <div className="mutedSmall" style={{ marginTop: 6 }}>
+        Placeholders:{" "}
+        {PLACEHOLDERS.map((p) => (
+          <span key={p} className="mono">
+            {`{{${p}}} `}
+          </span>
+        ))}
+        are filled in when the report is generated.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+// Generation performance numbers for the dashboard, computed from the
+// history list: stage percentiles, failure reasons and per-day/week trends.
+// Only reports that finished (done or failed) count; cancelled ones say
+// more about the user than about the backend.
+
+import { STAGES, stageDurations } from "./timings";
+
+export const PERCENTILES = [50, 90, 99];
+
+/** Nearest-rank percentile of an ascending array (null when empty). */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function statsOf(values) {
+  const sorted = values.filter((v) => v !== null).sort((a, b) => a - b);
+  const out = { count: sorted.length };
+  for (const p of PERCENTILES) out[`p${p}`] = percentile(sorted, p);
+  return out;
+}
+
+function statusOf(item) {
+  return String(item.status || "").toLowerCase();
+}
+
+/**
+ * @param {Object[]} items
+ * @param {{ profileId?: string, from?: number, to?: number }} [filter]
+ *   `profileId` "" means every environment; from/to are ms timestamps.
+ */
+export function finishedItems(items, { profileId = "", from, to } = {}) {
+  return items.filter((h) => {
+    const s = statusOf(h);
+    if (s !== "done" && s !== "failed") return false;
+    if (profileId && h.profile?.id !== profileId) return false;
+    const at = new Date(h.createdAt || 0).getTime();
+    if (from !== undefined && at < from) return false;
+    if (to !== undefined && at > to) return false;
+    return true;
+  });
+}
+
+/**
+ * p50/p90/p99 per stage and end to end, over successful reports.
+ * @returns {{ key: string, label: string, count: number, p50: number|null, p90: number|null, p99: number|null }[]}
+ */
+export function durationStats(items) {
+  const done = items.filter((h) => statusOf(h) === "done").map(stageDurations);
+  return [
+    ...STAGES.map((s) => ({
+      key: s.key,
+      label: s.label,
+      ...statsOf(done.map((d) => d[s.key])),
+    })),
+    { key: "total", label: "End to end", ...statsOf(done.map((d) => d.total)) },
+  ];
+}
+
+// Ids, numbers and quoted values make otherwise identical errors distinct.
+export function normalizeError(message) {
+  return (
+    String(message || "Unknown error")
+      .replace(/"[^"]*"|“[^”]*”/g, '"…"')
+      .replace(/\d+/g, "#")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 120) || "Unknown error"
+  );
+}
+
+/**
+ * @returns {{ finished: number, failed: number, rate: number|null, reasons: { message: string, count: number, share: number }[] }}
+ */
+export function failureBreakdown(items) {
+  const failed = items.filter((h) => statusOf(h) === "failed");
+  const counts = new Map();
+  for (const h of failed) {
+    const message = normalizeError(h.error);
+    counts.set(message, (counts.get(message) || 0) + 1);
+  }
+  const reasons = [...counts.entries()]
+    .map(([message, count]) => ({
+      message,
+      count,
+      share: count / failed.length,
+    }))
+    .sort((a, b) => b.count - a.count || a.message.localeCompare(b.message));
+  return {
+    finished: items.length,
+    failed: failed.length,
+    rate: items.length ? failed.length / items.length : null,
+    reasons,
+  };
+}
+
+function bucketStart(date, bucket) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  if (bucket === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+  return d;
+}
+
+/**
+ * One row per day (or week) from `from` to `to`, including empty ones, so
+ * charts keep a steady time axis.
+ * @param {{ bucket: "day"|"week", from: number, to: number }} opts
+ * @returns {{ key: string, label: string, count: number, failed: number, failureRate: number|null, p50: number|null, p90: number|null }[]}
+ */
+export function trend(items, { bucket, from, to }) {
+  const rows = new Map();
+  for (
+    let d = bucketStart(from, bucket);
+    d.getTime() <= to;
+    d.setDate(d.getDate() + (bucket === "week" ? 7 : 1))
+  ) {
+    rows.set(d.toISOString(), {
+      key: d.toISOString(),
+      label:
+        bucket === "week"
+          ? `Week of ${d.toLocaleDateString()}`
+          : d.toLocaleDateString(),
+      items: [],
+    });
+  }
+  for (const h of items) {
+    const key = bucketStart(h.createdAt || 0, bucket).toISOString();
+    rows.get(key)?.items.push(h);
+  }
+
+  return [...rows.values()].map(({ items: group, ...row }) => {
+    const failed = group.filter((h) => statusOf(h) === "failed").length;
+    const totals = statsOf(
+      group
+        .filter((h) => statusOf(h) === "done")
+        .map((h) => stageDurations(h).total)
+    );
+    return {
+      ...row,
+      count: group.length,
+      failed,
+      failureRate: group.length ? failed / group.length : null,
+      p50: totals.p50,
+      p90: totals.p90,
+    };
+  });
+}
@@ -0,0 +1,187 @@
+// Batch import: expand a CSV/JSON file into a list of { topic, questions } jobs.
+//
+// Accepted shapes
+//   CSV   header row with `topic` and either `questions` ("|"-separated) or
+//         `question1`, `question2`, … (also `q1`, `q2`, …) columns.
+//   JSON  [{ topic, questions? }, …]
+//         { topics: [...], questionSets: [[...], …] }   (cross product)
+//         { topic: "...", questionSets: [[...], …] }    (one topic, N variants)
+//         { rows: [...] }                               (same as the array form)
+//
+// Rows without questions use `defaultQuestions` (the form's current questions),
+// which covers the "same questions across N topics" case.
+
+import { countError } from "./questions";
+
+export const MAX_BATCH_JOBS = 100;
+
+export function newBatchId() {
+  return `batch-${Date.now().toString(36)}`;
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, "" escapes, newlines in quotes).
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function questionColumnOrder(name) {
+  const m = /^(?:question|q)[\s_-]*(\d+)$/i.exec(name.trim());
+  return m ? Number(m[1]) : null;
+}
+
+function rowsFromCsv(text) {
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error("CSV file is empty.");
+
+  const cols = header.map((h) => h.trim().toLowerCase());
+  const topicIdx = cols.indexOf("topic");
+  if (topicIdx < 0) throw new Error('CSV needs a "topic" column.');
+
+  const listIdx = cols.indexOf("questions");
+  const numbered = header
+    .map((h, idx) => ({ idx, order: questionColumnOrder(h) }))
+    .filter((c) => c.order !== null)
+    .sort((a, b) => a.order - b.order);
+
+  return body.map((cells) => {
+    const questions =
+      listIdx >= 0
+        ? String(cells[listIdx] || "").split("|")
+        : numbered.map((c) => cells[c.idx] || "");
+    return { topic: cells[topicIdx] || "", questions };
+  });
+}
+
+function rowsFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.rows)) return data.rows;
+
+  if (Array.isArray(data?.questionSets)) {
+    const topics = Array.isArray(data.topics)
+      ? data.topics
+      : data.topic
+      ? [data.topic]
+      : [];
+    if (!topics.length) {
+      throw new Error('JSON matrix needs "topics" (or "topic").');
+    }
+    return topics.flatMap((topic) =>
+      data.questionSets.map((questions) => ({ topic, questions }))
+    );
+  }
+
+  if (Array.isArray(data?.topics)) {
+    return data.topics.map((topic) => ({
+      topic,
+      questions: data.questions,
+    }));
+  }
+
+  throw new Error(
+    "Unrecognised JSON. Use an array of { topic, questions } or { topics, questionSets }."
+  );
+}
+
+/**
+ * Parse and validate a batch file.
+ * @returns {{ jobs: { topic: string, questions: string[] }[], errors: string[] }}
+ */
+export function parseBatchFile(
+  text,
+  fileName = "",
+  { defaultQuestions = [], limits = null } = {}
+) {
+  const isJson =
+    /\.json$/i.test(fileName) || /^[\s\uFEFF]*[[{]/.test(text || "");
+  const clean = String(text || "").replace(/^\uFEFF/, "");
+  const rows = isJson ? rowsFromJson(clean) : rowsFromCsv(clean);
+
+  const jobs = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const line = `Row ${i + 1}`;
+    const topic = String(row?.topic ?? "").trim();
+    const given = Array.isArray(row?.questions)
+      ? row.questions.map((q) => String(q ?? "").trim()).filter(Boolean)
+      : [];
+    const questions = given.length ? given : defaultQuestions;
+
+    if (!topic) {
+      errors.push(`${line}: missing topic.`);
+      return;
+    }
+    if (!questions.length || questions.some((q) => !q)) {
+      errors.push(`${line}: no questions (and the form has empty ones).`);
+      return;
+    }
+    const countMsg = limits ? countError(questions.length, limits) : "";
+    if (countMsg) {
+      errors.push(`${line}: ${countMsg}`);
+      return;
+    }
+    jobs.push({ topic, questions });
+  });
+
+  if (jobs.length > MAX_BATCH_JOBS) {
+    errors.push(
+      `Batch has ${jobs.length} jobs; only the first ${MAX_BATCH_JOBS} will be submitted.`
+    );
+    jobs.length = MAX_BATCH_JOBS;
+  }
+
+  return { jobs, errors };
+}
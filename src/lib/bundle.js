@@ -0,0 +1,148 @@
+// Portable history bundles: a versioned JSON file that a teammate can import
+// into their own browser. Presigned URLs are never exported (they'd be dead
+// by the time anyone opens the file, or worse, still working); the importer
+// re-presigns from s3Key. That includes the Presign calls in the call log.
+
+import { isTerminalStatus } from "./reportClient";
+
+export const BUNDLE_FORMAT = "rbr-instant-lab-history";
+export const BUNDLE_VERSION = 1;
+
+// Fields that only make sense in the browser that produced them.
+const LOCAL_ONLY_FIELDS = ["pdfUrl", "pdfUrlIssuedAt", "pdfUrlExpiresAt"];
+
+// A Presign exchange keeps its timing and status, not the signed link.
+function stripCall(call) {
+  if (call?.endpoint !== "presign") return call;
+  return { ...call, url: "", responseBody: "" };
+}
+
+function stripLocal(item) {
+  const out = { ...item };
+  for (const key of LOCAL_ONLY_FIELDS) delete out[key];
+  if (Array.isArray(out.calls)) out.calls = out.calls.map(stripCall);
+  return out;
+}
+
+/** @returns {{ format: string, version: number, exportedAt: string, items: Object[] }} */
+export function createBundle(items) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: items.map(stripLocal),
+  };
+}
+
+export function bundleFileName(count, date = new Date()) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  return `rbr-instant-lab-${count}-reports-${stamp}.json`;
+}
+
+/** Trigger a browser download of `data` as pretty-printed JSON. */
+export function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Parse and validate a bundle file.
+ * @returns {{ items: Object[], errors: string[] }}
+ */
+export function parseBundle(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { items: [], errors: ["File is not valid JSON."] };
+  }
+
+  if (data?.format !== BUNDLE_FORMAT || !Array.isArray(data.items)) {
+    return { items: [], errors: ["This is not an RBR Instant Lab export."] };
+  }
+  if (!(data.version >= 1) || data.version > BUNDLE_VERSION) {
+    return {
+      items: [],
+      errors: [
+        `Unsupported bundle version ${data.version} (this app reads up to v${BUNDLE_VERSION}).`,
+      ],
+    };
+  }
+
+  const errors = [];
+  const items = [];
+  data.items.forEach((raw, i) => {
+    if (!raw || typeof raw !== "object" || typeof raw.id !== "string") {
+      errors.push(`Item ${i + 1}: missing id, skipped.`);
+      return;
+    }
+    items.push(stripLocal(raw));
+  });
+  return { items, errors };
+}
+
+function matchKey(item) {
+  return item.instantId ? `instant:${item.instantId}` : `id:${item.id}`;
+}
+
+/**
+ * Merge imported items into history. Items are the same report when their
+ * instantId matches (or, without one, their local id). Existing items keep
+ * their own fields; an imported review is only taken when there's none here.
+ * Deterministic for the same inputs, so it's safe inside a state updater.
+ * @returns {{ history: Object[], added: Object[], updated: number, skipped: number }}
+ */
+export function mergeImported(
+  history,
+  imported,
+  importedAt = new Date().toISOString()
+) {
+  const byKey = new Map(history.map((h) => [matchKey(h), h]));
+  const ids = new Set(history.map((h) => h.id));
+  const patched = new Map(); // local id -> patched item
+  const added = [];
+  let skipped = 0;
+
+  for (const item of imported) {
+    const key = matchKey(item);
+    const existing = byKey.get(key);
+
+    if (existing) {
+      const current = patched.get(existing.id) || existing;
+      if (item.review && !current.review) {
+        patched.set(existing.id, { ...current, review: item.review });
+      } else {
+        skipped++;
+      }
+      continue;
+    }
+
+    // New here; keep its id unless that id is taken by another report.
+    let id = item.id;
+    for (let n = 1; ids.has(id); n++) id = `${item.id}-imported-${n}`;
+    const next = { ...item, id, importedAt };
+    // Never confirmed where it came from: don't let resume re-submit it here.
+    if (!next.instantId && !isTerminalStatus(next.status)) {
+      next.status = "failed";
+      next.error = "Not confirmed when it was exported.";
+    }
+    ids.add(id);
+    byKey.set(key, next);
+    added.push(next);
+  }
+
+  const merged = history.map((h) => patched.get(h.id) || h);
+  const all = [...added, ...merged].sort(
+    (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+  );
+  return { history: all, added, updated: patched.size, skipped };
+}
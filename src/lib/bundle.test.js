@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { createBundle, parseBundle } from "./bundle";
+
+const signed =
+  "https://bucket.s3.amazonaws.com/instant/99/i1.pdf?X-Amz-Date=20260101T000000Z&X-Amz-Expires=900&X-Amz-Signature=abc";
+
+const item = {
+  id: "job-1",
+  instantId: "i1",
+  s3Key: "instant/99/i1.pdf",
+  status: "done",
+  pdfUrl: signed,
+  pdfUrlIssuedAt: "2026-01-01T00:00:00.000Z",
+  pdfUrlExpiresAt: "2026-01-01T00:15:00.000Z",
+  calls: [
+    {
+      endpoint: "status",
+      url: "https://api.test/status?userPhone=99&instantId=i1",
+      status: 200,
+      responseBody: '{"ok":true,"status":"done"}',
+    },
+    {
+      endpoint: "presign",
+      url: "https://api.test/presign?s3Key=instant%2F99%2Fi1.pdf",
+      status: 200,
+      latencyMs: 120,
+      responseBody: JSON.stringify({ ok: true, url: signed }),
+    },
+  ],
+};
+
+describe("createBundle", () => {
+  it("exports no presigned URL, including in the call log", () => {
+    const bundle = createBundle([item]);
+    expect(JSON.stringify(bundle)).not.toContain("X-Amz-Signature");
+
+    const [exported] = bundle.items;
+    expect(exported.pdfUrl).toBeUndefined();
+    expect(exported.calls[0]).toEqual(item.calls[0]);
+    expect(exported.calls[1]).toMatchObject({
+      endpoint: "presign",
+      status: 200,
+      latencyMs: 120,
+      url: "",
+      responseBody: "",
+    });
+    expect(exported.s3Key).toBe(item.s3Key);
+  });
+});
+
+describe("parseBundle", () => {
+  it("strips signed links from files exported before they were stripped", () => {
+    const text = JSON.stringify({
+      format: "rbr-instant-lab-history",
+      version: 1,
+      items: [item],
+    });
+    const { items, errors } = parseBundle(text);
+    expect(errors).toEqual([]);
+    expect(JSON.stringify(items)).not.toContain("X-Amz-Signature");
+  });
+});
@@ -0,0 +1,61 @@
+// Per-item log of every Confirm / Status / Presign exchange (the client's
+// CallRecords), kept on the history item as `calls` so a backend problem can
+// be reported with the exact URL, status, timing and body.
+
+// A long poll makes one Status call every few seconds; keep the newest.
+export const MAX_CALLS_PER_ITEM = 100;
+export const MAX_BODY_CHARS = 8000;
+
+function truncate(text) {
+  if (typeof text !== "string" || text.length <= MAX_BODY_CHARS) return text;
+  return `${text.slice(0, MAX_BODY_CHARS)}… [${
+    text.length - MAX_BODY_CHARS
+  } more chars]`;
+}
+
+/**
+ * Append a CallRecord (bodies truncated). Over the cap, the oldest calls
+ * after the Confirm are dropped; the Confirm is what a backend bug report
+ * needs most.
+ */
+export function appendCall(calls, record) {
+  const next = [
+    ...(calls || []),
+    {
+      ...record,
+      requestBody: truncate(record.requestBody),
+      responseBody: truncate(record.responseBody),
+    },
+  ];
+  while (next.length > MAX_CALLS_PER_ITEM) {
+    const drop = next.findIndex((c) => c.endpoint !== "confirm");
+    next.splice(drop === -1 ? 0 : drop, 1);
+  }
+  return next;
+}
+
+/** Pretty-print JSON bodies; anything else comes back as-is. */
+export function formatBody(text) {
+  if (!text) return "";
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
+
+function shellQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+/** The request as a copy-pasteable curl command. */
+export function toCurl(call) {
+  const parts = ["curl"];
+  if (call.method && call.method !== "GET") parts.push(`-X ${call.method}`);
+  parts.push(shellQuote(call.url));
+  parts.push(`-H ${shellQuote("Content-Type: application/json")}`);
+  if (call.requestBody) {
+    parts.push(`--data-raw ${shellQuote(call.requestBody)}`);
+  }
+  return parts.join(" \\\n  ");
+}
@@ -0,0 +1,114 @@
+// Shareable comparison links. The pinned reports and the form live in the
+// URL hash (so nothing reaches the static host's logs):
+//
+//   #v=1&pane=<userPhone>~<instantId>[~<s3Key>]&pane=…&topic=…&q=…&q=…
+//        &country=…&year=…
+//
+// s3Key is only written when it differs from the default
+// instant/<userPhone>/<instantId>.pdf layout.
+
+import { MAX_PANES } from "./panes";
+import { defaultS3Key } from "./reportClient";
+
+const LINK_VERSION = "1";
+
+// "~" separates pane fields, so escape it (and "%") inside a field.
+function escapePart(part) {
+  return String(part).replace(/%/g, "%25").replace(/~/g, "%7E");
+}
+
+function unescapePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+}
+
+/**
+ * @typedef {{ userPhone: string, instantId: string, s3Key: string }} PaneRef
+ * @typedef {{ topic: string, questions: string[], country: string, year: string }} LinkForm
+ */
+
+/** @returns {string} hash including the leading "#" ("" when there's nothing to share) */
+export function encodeShareHash({ panes, form }) {
+  const params = new URLSearchParams();
+  params.set("v", LINK_VERSION);
+
+  for (const p of panes) {
+    if (!p.userPhone || !p.instantId) continue;
+    const parts = [p.userPhone, p.instantId];
+    if (p.s3Key && p.s3Key !== defaultS3Key(p)) parts.push(p.s3Key);
+    params.append("pane", parts.map(escapePart).join("~"));
+  }
+
+  if (form) {
+    if (form.topic) params.set("topic", form.topic);
+    (form.questions || []).forEach((q) => params.append("q", q));
+    if (form.country) params.set("country", form.country);
+    if (form.year) params.set("year", String(form.year));
+  }
+
+  return `#${params.toString()}`;
+}
+
+/**
+ * Read a share hash. Returns null when the hash isn't one of ours.
+ * @returns {{ panes: PaneRef[], form: LinkForm|null }|null}
+ */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (params.get("v") !== LINK_VERSION) return null;
+
+  const seen = new Set();
+  const panes = [];
+  for (const raw of params.getAll("pane")) {
+    const [userPhone, instantId, s3Key] = raw.split("~").map(unescapePart);
+    if (!userPhone || !instantId || seen.has(instantId)) continue;
+    seen.add(instantId);
+    panes.push({
+      userPhone,
+      instantId,
+      s3Key: s3Key || defaultS3Key({ userPhone, instantId }),
+    });
+  }
+
+  const questions = params.getAll("q");
+  const form =
+    params.has("topic") || questions.length
+      ? {
+          topic: params.get("topic") || "",
+          questions,
+          country: params.get("country") || "",
+          year: params.get("year") || "",
+        }
+      : null;
+
+  return { panes: panes.slice(0, MAX_PANES), form };
+}
+
+/**
+ * True when the link's panes are exactly the ones `paneItems` already show
+ * (panes without an instantId aren't in links). After a plain reload the
+ * hash is just our own mirror of the saved layout, which should win.
+ */
+export function linkMatchesPanes(link, paneItems) {
+  const shown = paneItems
+    .filter((x) => x.userPhone && x.instantId)
+    .map((x) => x.instantId);
+  return (
+    link.panes.length === shown.length &&
+    link.panes.every((ref, i) => ref.instantId === shown[i])
+  );
+}
+
+/** Replace the hash without adding a history entry or scrolling. */
+export function replaceHash(hash) {
+  const { pathname, search, hash: current } = window.location;
+  if (hash === current) return;
+  window.history.replaceState(
+    window.history.state,
+    "",
+    `${pathname}${search}${hash}`
+  );
+}
@@ -0,0 +1,272 @@
+// Backend environment profiles (dev / staging / prod), switchable at runtime.
+// Each profile carries its own endpoints plus the request identity sent in
+// the Confirm payload (employeeId, bypass). Build-time env vars only seed the
+// defaults; edits made in the UI are kept in localStorage.
+//
+// Seeding, per profile (PREFIX is "DEV_", "STAGING_" or "" for prod):
+//   VITE_<PREFIX>CONFIRM_API   (prod also reads legacy VITE_INSTANT_API_URL)
+//   VITE_<PREFIX>STATUS_API    (prod also reads legacy VITE_STATUS_URL)
+//   VITE_<PREFIX>PRESIGN_API   (prod also reads legacy VITE_PRESIGN_URL)
+//   VITE_<PREFIX>EMPLOYEE_ID   default "10000001"
+//   VITE_<PREFIX>BYPASS        "false" to turn bypass off; default on
+//
+// Under `vite` (dev) there is also a "Mock (local)" profile pointing at the
+// dev server's /__mock routes (see mock/mockBackend.js).
+
+import { newIdempotencyKey } from "./reportClient";
+
+const PROFILES_KEY = "rbr_instant_lab_profiles_v1";
+const ACTIVE_PROFILE_KEY = "rbr_instant_lab_active_profile";
+
+export const DEFAULT_EMPLOYEE_ID = "10000001";
+
+export const MOCK_PROFILE_ID = "mock";
+const MOCK_PREFIX = "/__mock";
+
+export const ENDPOINTS = [
+  { key: "confirmUrl", label: "Confirm API" },
+  { key: "statusUrl", label: "Status API" },
+  { key: "presignUrl", label: "Presign API" },
+];
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} confirmUrl
+ * @property {string} statusUrl
+ * @property {string} presignUrl
+ * @property {string} employeeId
+ * @property {boolean} bypass
+ */
+
+function seedProfile(id, name, prefix, legacy = {}) {
+  const env = import.meta.env;
+  const read = (key, fallback = "") =>
+    env[`VITE_${prefix}${key}`] ||
+    (legacy[key] && env[legacy[key]]) ||
+    fallback;
+  return {
+    id,
+    name,
+    confirmUrl: read("CONFIRM_API"),
+    statusUrl: read("STATUS_API"),
+    presignUrl: read("PRESIGN_API"),
+    employeeId: read("EMPLOYEE_ID", DEFAULT_EMPLOYEE_ID),
+    bypass: read("BYPASS", "true") !== "false",
+  };
+}
+
+function mockProfile() {
+  return {
+    id: MOCK_PROFILE_ID,
+    name: "Mock (local)",
+    confirmUrl: `${MOCK_PREFIX}/confirm`,
+    statusUrl: `${MOCK_PREFIX}/status`,
+    presignUrl: `${MOCK_PREFIX}/presign`,
+    employeeId: DEFAULT_EMPLOYEE_ID,
+    bypass: true,
+  };
+}
+
+export function defaultProfiles() {
+  const profiles = [
+    seedProfile("dev", "Dev", "DEV_"),
+    seedProfile("staging", "Staging", "STAGING_"),
+    seedProfile("prod", "Prod", "", {
+      CONFIRM_API: "VITE_INSTANT_API_URL",
+      STATUS_API: "VITE_STATUS_URL",
+      PRESIGN_API: "VITE_PRESIGN_URL",
+    }),
+  ];
+  if (import.meta.env.DEV) profiles.push(mockProfile());
+  return profiles;
+}
+
+function sanitizeProfile(p, seed) {
+  const str = (v, fallback) => (typeof v === "string" ? v.trim() : fallback);
+  return {
+    id: seed.id,
+    name: str(p?.name, seed.name) || seed.name,
+    confirmUrl: str(p?.confirmUrl, seed.confirmUrl),
+    statusUrl: str(p?.statusUrl, seed.statusUrl),
+    presignUrl: str(p?.presignUrl, seed.presignUrl),
+    employeeId: str(p?.employeeId, seed.employeeId),
+    bypass: typeof p?.bypass === "boolean" ? p.bypass : seed.bypass,
+  };
+}
+
+/** Saved edits on top of the seeded profiles (same ids, same order). */
+export function loadProfiles() {
+  const seeds = defaultProfiles();
+  try {
+    const raw = localStorage.getItem(PROFILES_KEY);
+    const saved = raw ? JSON.parse(raw) : [];
+    const byId = new Map(
+      (Array.isArray(saved) ? saved : []).map((p) => [p?.id, p])
+    );
+    return seeds.map((seed) =>
+      byId.has(seed.id) ? sanitizeProfile(byId.get(seed.id), seed) : seed
+    );
+  } catch {
+    return seeds;
+  }
+}
+
+export function saveProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch {
+    // ignore
+  }
+}
+
+/** Saved choice, else the first profile with all endpoints, else the last
+ * one (prod, or the mock under `vite`). */
+export function loadActiveProfileId(profiles) {
+  try {
+    const saved = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    if (profiles.some((p) => p.id === saved)) return saved;
+  } catch {
+    // ignore
+  }
+  return (
+    profiles.find((p) => !missingEndpoints(p).length)?.id ||
+    profiles[profiles.length - 1].id
+  );
+}
+
+export function saveActiveProfileId(id) {
+  try {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  } catch {
+    // ignore
+  }
+}
+
+/** Labels of the endpoints this profile has no URL for. */
+export function missingEndpoints(profile) {
+  return ENDPOINTS.filter((e) => !profile?.[e.key]).map((e) => e.label);
+}
+
+/** What a history item records about where it came from. */
+export function profileTag(profile) {
+  return { id: profile.id, name: profile.name };
+}
+
+/**
+ * Confirm payload with this profile's request identity and a fresh
+ * idempotency key (one per report; it's stored with the payload).
+ */
+export function buildPayload(profile, { query, questions }) {
+  return {
+    bypass: profile.bypass,
+    employeeId: profile.employeeId || DEFAULT_EMPLOYEE_ID,
+    query,
+    questions,
+    idempotencyKey: newIdempotencyKey(),
+  };
+}
+
+// Made-up ids for the connectivity check's Status / Presign requests.
+const PROBE_IDS = { userPhone: "0000000000", instantId: "connectivity-check" };
+
+/**
+ * Connectivity check for one endpoint. Nothing is ever submitted:
+ * - Confirm (a POST route that would start a report) only gets a `no-cors`
+ *   GET. An opaque answer still means the host is reachable; it says nothing
+ *   about CORS or the route.
+ * - Status and Presign get the request the app really sends, with made-up
+ *   ids, so CORS and the route are tested too. Any HTTP answer (typically
+ *   404 or ok:false for an unknown report) means they work. When that
+ *   request is refused, a `no-cors` retry tells CORS trouble (reachable) from
+ *   a host that can't be reached at all.
+ * @param {"confirmUrl"|"statusUrl"|"presignUrl"} key
+ * @returns {Promise<{ state: "ok"|"error"|"down", status: number|null, latencyMs: number, message: string }>}
+ */
+export async function checkEndpoint(key, url, { timeoutMs = 8000 } = {}) {
+  const started = performance.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const result = (state, status, message) => ({
+    state,
+    status,
+    latencyMs: Math.round(performance.now() - started),
+    message,
+  });
+  const reachable = () =>
+    fetch(url, {
+      method: "GET",
+      mode: "no-cors",
+      cache: "no-store",
+      signal: controller.signal,
+    });
+
+  try {
+    if (key === "confirmUrl") {
+      const res = await reachable();
+      // same-origin URLs still give a real response
+      return res.type === "opaque"
+        ? result("ok", null, "Reachable (route and CORS not checked)")
+        : result(
+            res.status >= 500 ? "error" : "ok",
+            res.status,
+            `HTTP ${res.status}`
+          );
+    }
+
+    const probe = new URL(url, globalThis.location?.href);
+    probe.searchParams.set("userPhone", PROBE_IDS.userPhone);
+    probe.searchParams.set("instantId", PROBE_IDS.instantId);
+    try {
+      const res = await fetch(probe, {
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      return result(
+        res.status >= 500 ? "error" : "ok",
+        res.status,
+        `HTTP ${res.status}`
+      );
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      await reachable();
+      return result(
+        "error",
+        null,
+        "Reachable, but the browser blocked the request (CORS)"
+      );
+    }
+  } catch (e) {
+    return result(
+      "down",
+      null,
+      e?.name === "AbortError"
+        ? `No response in ${timeoutMs / 1000}s`
+        : "Unreachable (network, DNS or TLS)"
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---- Mock backend scenarios (dev server only) ----
+
+/** @returns {Promise<{ scenario: string, scenarios: { id: string, label: string }[] }>} */
+export async function fetchMockScenarios() {
+  const res = await fetch(`${MOCK_PREFIX}/scenario`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Mock backend answered HTTP ${res.status}`);
+  return res.json();
+}
+
+export async function selectMockScenario(scenario) {
+  const res = await fetch(`${MOCK_PREFIX}/scenario`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ scenario }),
+  });
+  if (!res.ok) throw new Error(`Mock backend answered HTTP ${res.status}`);
+  return res.json();
+}
@@ -0,0 +1,77 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { checkEndpoint } from "./environments";
+
+// A `fetch` that answers cors requests with `cors` and no-cors ones with
+// `opaque`; each is a Response, or an Error to throw.
+function stubFetch({ cors, opaque }) {
+  const fetch = vi.fn(async (url, options) => {
+    const reply = options.mode === "no-cors" ? opaque : cors;
+    if (reply instanceof Error) throw reply;
+    return reply;
+  });
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+function opaqueResponse() {
+  // the Response constructor can't make one; `type` is all that's read
+  return { type: "opaque", status: 0 };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("checkEndpoint", () => {
+  it("only sends Confirm a no-cors GET, and counts an opaque answer as reachable", async () => {
+    const fetch = stubFetch({ opaque: opaqueResponse() });
+    const result = await checkEndpoint(
+      "confirmUrl",
+      "https://api.test/confirm"
+    );
+    expect(result).toMatchObject({ state: "ok", status: null });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1]).toMatchObject({
+      method: "GET",
+      mode: "no-cors",
+    });
+  });
+
+  it("asks Status about a made-up report, the way the app does", async () => {
+    const fetch = stubFetch({ cors: new Response("{}", { status: 404 }) });
+    const result = await checkEndpoint("statusUrl", "https://api.test/status");
+    expect(result).toMatchObject({ state: "ok", status: 404 });
+    const [url, options] = fetch.mock.calls[0];
+    expect(String(url)).toBe(
+      "https://api.test/status?userPhone=0000000000&instantId=connectivity-check"
+    );
+    expect(options.mode).toBeUndefined();
+  });
+
+  it("reports a 5xx as an error", async () => {
+    stubFetch({ cors: new Response("", { status: 502 }) });
+    const result = await checkEndpoint("presignUrl", "https://api.test/p");
+    expect(result).toMatchObject({ state: "error", status: 502 });
+  });
+
+  it("tells a CORS refusal from an unreachable host", async () => {
+    stubFetch({
+      cors: new TypeError("Failed to fetch"),
+      opaque: opaqueResponse(),
+    });
+    expect(
+      await checkEndpoint("presignUrl", "https://api.test/presign")
+    ).toMatchObject({ state: "error", message: expect.stringMatching(/CORS/) });
+
+    stubFetch({
+      cors: new TypeError("Failed to fetch"),
+      opaque: new TypeError("Failed to fetch"),
+    });
+    expect(
+      await checkEndpoint("statusUrl", "https://api.test/status")
+    ).toMatchObject({
+      state: "down",
+      message: expect.stringMatching(/^Unreachable/),
+    });
+  });
+});
@@ -0,0 +1,212 @@
+// Blind A/B experiments: N runs of each question-set variant for one topic,
+// then randomly paired reports are judged without knowing which variant made
+// them. Variant identities (and win rates) are shown only after "Reveal".
+//
+// Reports are ordinary history items tagged with
+// `experiment: { id, variantId }`; the experiment itself only stores the
+// variants, the generated pairs and the votes.
+
+import { validateQuestions } from "./questions";
+
+const EXPERIMENTS_KEY = "rbr_instant_lab_experiments_v1";
+
+export const MAX_RUNS_PER_VARIANT = 10;
+export const MAX_VARIANTS = 6;
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} id
+ * @property {string} label
+ * @property {string[]} questions
+ *
+ * @typedef {Object} Pair
+ * @property {string} id
+ * @property {string} a       history item id shown as "Report A"
+ * @property {string} b       history item id shown as "Report B"
+ * @property {"a"|"b"|"tie"|null} vote
+ * @property {string|null} votedAt
+ *
+ * @typedef {Object} Experiment
+ * @property {string} id
+ * @property {string} name
+ * @property {string} topic
+ * @property {Variant[]} variants
+ * @property {number} runs       per variant
+ * @property {Pair[]} pairs      empty until the review starts
+ * @property {boolean} revealed
+ * @property {string} createdAt
+ */
+
+export function loadExperiments() {
+  try {
+    const raw = localStorage.getItem(EXPERIMENTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveExperiments(list) {
+  try {
+    localStorage.setItem(EXPERIMENTS_KEY, JSON.stringify(list));
+  } catch {
+    // ignore
+  }
+}
+
+function newId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 7)}`;
+}
+
+/**
+ * Check a draft before launching. Returns a list of problems ([] when fine).
+ */
+export function validateExperiment({ topic, variants, runs }, limits) {
+  const errors = [];
+  if (!topic.trim()) errors.push("Enter a topic.");
+  if (variants.length < 2) errors.push("Add at least two variants.");
+  if (variants.length > MAX_VARIANTS) {
+    errors.push(`Use at most ${MAX_VARIANTS} variants.`);
+  }
+  if (!(runs >= 1 && runs <= MAX_RUNS_PER_VARIANT)) {
+    errors.push(`Runs per variant must be 1–${MAX_RUNS_PER_VARIANT}.`);
+  }
+  variants.forEach((v, i) => {
+    const result = validateQuestions(v.questions, limits);
+    const problem = result.countError || result.errors.find(Boolean);
+    if (problem) errors.push(`Variant ${v.label || i + 1}: ${problem}`);
+  });
+  return errors;
+}
+
+export function createExperiment({ name, topic, variants, runs }) {
+  const id = newId("exp");
+  return {
+    id,
+    name: name.trim() || `${topic.trim()} (${variants.length} variants)`,
+    topic: topic.trim(),
+    variants: variants.map((v, i) => ({
+      id: `v${i + 1}`,
+      label: v.label.trim() || `Variant ${i + 1}`,
+      questions: v.questions,
+    })),
+    runs,
+    pairs: [],
+    revealed: false,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function experimentItems(experiment, history) {
+  return history.filter((h) => h.experiment?.id === experiment.id);
+}
+
+function shuffle(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Random cross-variant pairs from the finished runs. Every two variants get
+ * min(runsA, runsB) pairs, each run used once per opponent variant; which
+ * side a report lands on and the pair order are random too.
+ * @returns {Pair[]}
+ */
+export function buildPairs(experiment, history, random = Math.random) {
+  const done = experimentItems(experiment, history).filter(
+    (h) => h.status === "done" && h.pdfUrl
+  );
+  const byVariant = experiment.variants.map((v) =>
+    done.filter((h) => h.experiment.variantId === v.id)
+  );
+
+  const pairs = [];
+  for (let i = 0; i < byVariant.length; i++) {
+    for (let j = i + 1; j < byVariant.length; j++) {
+      const left = shuffle(byVariant[i], random);
+      const right = shuffle(byVariant[j], random);
+      const n = Math.min(left.length, right.length);
+      for (let k = 0; k < n; k++) {
+        const swap = random() < 0.5;
+        pairs.push({
+          id: newId("pair"),
+          a: swap ? right[k].id : left[k].id,
+          b: swap ? left[k].id : right[k].id,
+          vote: null,
+          votedAt: null,
+        });
+      }
+    }
+  }
+  return shuffle(pairs, random);
+}
+
+export function recordVote(experiment, pairId, vote) {
+  return {
+    ...experiment,
+    pairs: experiment.pairs.map((p) =>
+      p.id === pairId
+        ? { ...p, vote, votedAt: vote ? new Date().toISOString() : null }
+        : p
+    ),
+  };
+}
+
+/** First pair without a vote, or null when the review is complete. */
+export function nextPair(experiment) {
+  return experiment.pairs.find((p) => !p.vote) || null;
+}
+
+export function votedCount(experiment) {
+  return experiment.pairs.filter((p) => p.vote).length;
+}
+
+/**
+ * Win rate per variant over the voted pairs; a tie counts as half a win.
+ * Pairs whose reports were deleted from history are skipped.
+ * @returns {{ variant: Variant, wins: number, losses: number, ties: number, comparisons: number, winRate: number|null }[]}
+ */
+export function winRates(experiment, history) {
+  const variantOf = new Map(
+    experimentItems(experiment, history).map((h) => [
+      h.id,
+      h.experiment.variantId,
+    ])
+  );
+  const stats = new Map(
+    experiment.variants.map((v) => [
+      v.id,
+      { variant: v, wins: 0, losses: 0, ties: 0, comparisons: 0 },
+    ])
+  );
+
+  for (const p of experiment.pairs) {
+    const va = stats.get(variantOf.get(p.a));
+    const vb = stats.get(variantOf.get(p.b));
+    if (!p.vote || !va || !vb) continue;
+    va.comparisons++;
+    vb.comparisons++;
+    if (p.vote === "tie") {
+      va.ties++;
+      vb.ties++;
+    } else {
+      const [winner, loser] = p.vote === "a" ? [va, vb] : [vb, va];
+      winner.wins++;
+      loser.losses++;
+    }
+  }
+
+  return [...stats.values()]
+    .map((s) => ({
+      ...s,
+      winRate: s.comparisons ? (s.wins + s.ties / 2) / s.comparisons : null,
+    }))
+    .sort((x, y) => (y.winRate ?? -1) - (x.winRate ?? -1));
+}
@@ -0,0 +1,86 @@
+// Search / filter / sort / paginate for the Generated Reports table. Pure
+// functions over the in-memory list; the table never holds more than a page.
+
+export const PAGE_SIZE = 25;
+
+export const SORT_KEYS = {
+  createdAt: (h) => new Date(h.createdAt || 0).getTime(),
+  title: (h) => String(h.title || h.topic || "").toLowerCase(),
+  instantId: (h) => String(h.instantId || ""),
+  status: (h) => String(h.status || "").toLowerCase(),
+};
+
+export const DEFAULT_QUERY = {
+  search: "",
+  status: "",
+  from: "",
+  to: "",
+  sortKey: "createdAt",
+  sortDir: "desc",
+};
+
+function searchText(h) {
+  return [h.title, h.topic, ...(h.request?.questions || [])]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+}
+
+/**
+ * @param {Object[]} items
+ * @param {typeof DEFAULT_QUERY} query
+ *   `search` matches every whitespace-separated term against title, topic and
+ *   questions; `from`/`to` are inclusive local dates (YYYY-MM-DD).
+ */
+export function queryHistory(items, query) {
+  const terms = query.search.toLowerCase().split(/\s+/).filter(Boolean);
+  const fromMs = query.from
+    ? new Date(`${query.from}T00:00:00`).getTime()
+    : -Infinity;
+  const toMs = query.to
+    ? new Date(`${query.to}T23:59:59.999`).getTime()
+    : Infinity;
+
+  const filtered = items.filter((h) => {
+    if (query.status && String(h.status || "").toLowerCase() !== query.status) {
+      return false;
+    }
+    const at = new Date(h.createdAt || 0).getTime();
+    if (at < fromMs || at > toMs) return false;
+    if (terms.length) {
+      const text = searchText(h);
+      if (!terms.every((t) => text.includes(t))) return false;
+    }
+    return true;
+  });
+
+  const key = SORT_KEYS[query.sortKey] || SORT_KEYS.createdAt;
+  const dir = query.sortDir === "asc" ? 1 : -1;
+  return filtered.sort((a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    return ka < kb ? -dir : ka > kb ? dir : 0;
+  });
+}
+
+/** Clicking the active column flips direction; a new column starts descending
+ * for dates and ascending for text. */
+export function nextSort(query, sortKey) {
+  if (query.sortKey === sortKey) {
+    return { ...query, sortDir: query.sortDir === "asc" ? "desc" : "asc" };
+  }
+  return {
+    ...query,
+    sortKey,
+    sortDir: sortKey === "createdAt" ? "desc" : "asc",
+  };
+}
+
+export function pageCount(total, pageSize = PAGE_SIZE) {
+  return Math.max(1, Math.ceil(total / pageSize));
+}
+
+export function pageSlice(items, page, pageSize = PAGE_SIZE) {
+  const start = (page - 1) * pageSize;
+  return items.slice(start, start + pageSize);
+}
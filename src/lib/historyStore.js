@@ -0,0 +1,312 @@
+// Report history in IndexedDB, one record per item (keyed by `id`). Replaces
+// the single localStorage array, which was capped at 200 items and counted
+// every apiResponse/statusResponse blob against the ~5 MB quota.
+//
+// Callers keep the full list in React state; `syncHistory` writes only the
+// items whose object identity changed since the last sync, so an update to
+// one row is one `put`, not a rewrite of everything.
+//
+// An item's call log (`calls`, see lib/callLog) is the bulk of it and grows
+// with every Status poll, so it lives in a store of its own: `syncHistory`
+// leaves it out, and callers write logs in batches with `saveCallLogs`.
+// Items are loaded with their logs joined back on.
+//
+// If IndexedDB can't be opened (blocked storage, some private modes), the
+// caller can `fallBackToLegacy()`: history is then kept in the old
+// localStorage array for the session, and migrated once IndexedDB works.
+
+const DB_NAME = "rbr_instant_lab";
+const DB_VERSION = 3; // 2: instantId index, 3: separate call logs
+const STORE = "history";
+const CALLS_STORE = "calls"; // { id, calls }, keyed like the history item
+
+// Pre-IndexedDB storage, migrated (then removed) on first load.
+export const LEGACY_HISTORY_KEY = "rbr_instant_lab_history_v2";
+
+let dbPromise = null;
+let legacyMode = false;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+/** The history record: the item without its call log. */
+function withoutCalls(item) {
+  if (!("calls" in item)) return item;
+  const record = { ...item };
+  delete record.calls;
+  return record;
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        const store = db.objectStoreNames.contains(STORE)
+          ? req.transaction.objectStore(STORE)
+          : db.createObjectStore(STORE, { keyPath: "id" });
+        if (!store.indexNames.contains("createdAt")) {
+          store.createIndex("createdAt", "createdAt");
+        }
+        if (!store.indexNames.contains("instantId")) {
+          store.createIndex("instantId", "instantId");
+        }
+        if (!db.objectStoreNames.contains(CALLS_STORE)) {
+          const logs = db.createObjectStore(CALLS_STORE, { keyPath: "id" });
+          // move the logs older versions kept on the history records
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (cursor.value.calls) {
+              logs.put({ id: cursor.value.id, calls: cursor.value.calls });
+              cursor.update(withoutCalls(cursor.value));
+            }
+            cursor.continue();
+          };
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // let a newer version (another tab, after a deploy) upgrade
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // allow a retry later
+    });
+  }
+  return dbPromise;
+}
+
+function readLegacy() {
+  try {
+    const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter((x) => x?.id) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeLegacy(items) {
+  localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(items));
+}
+
+function newestFirst(items) {
+  return items.sort(
+    (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+  );
+}
+
+// Put the stored call logs back on their items.
+function joinCalls(items, logs) {
+  const byId = new Map(logs.map((log) => [log.id, log.calls]));
+  return items.map((item) =>
+    byId.has(item.id) ? { ...item, calls: byId.get(item.id) } : item
+  );
+}
+
+async function loadCallLogs(db, ids) {
+  const logs = db.transaction(CALLS_STORE, "readonly").objectStore(CALLS_STORE);
+  const found = await Promise.all(
+    ids.map((id) => requestToPromise(logs.get(id)))
+  );
+  return found.filter(Boolean);
+}
+
+/**
+ * Load every history item, newest first. Migrates the old localStorage array
+ * the first time; the legacy key is only removed once the copy committed.
+ * @returns {Promise<Object[]>}
+ */
+export async function loadHistoryStore() {
+  const db = await openDb();
+
+  const legacy = readLegacy();
+  if (legacy) {
+    const tx = db.transaction([STORE, CALLS_STORE], "readwrite");
+    const store = tx.objectStore(STORE);
+    const logs = tx.objectStore(CALLS_STORE);
+    // keep whichever copy is newer: a retried migration must not go back in
+    // time, but a session spent on the fallback has newer edits
+    for (const item of legacy) {
+      store.get(item.id).onsuccess = (e) => {
+        const current = e.target.result;
+        if (!current || (item.updatedAt || "") > (current.updatedAt || "")) {
+          store.put(withoutCalls(item));
+          if (item.calls) logs.put({ id: item.id, calls: item.calls });
+        }
+      };
+    }
+    await transactionDone(tx);
+    try {
+      localStorage.removeItem(LEGACY_HISTORY_KEY);
+    } catch {
+      // ignore
+    }
+  }
+
+  const tx = db.transaction([STORE, CALLS_STORE], "readonly");
+  const [items, logs] = await Promise.all([
+    requestToPromise(tx.objectStore(STORE).getAll()),
+    requestToPromise(tx.objectStore(CALLS_STORE).getAll()),
+  ]);
+  return newestFirst(joinCalls(items, logs));
+}
+
+/**
+ * Keep history in localStorage from now on (when `loadHistoryStore` failed).
+ * Resolves with what is stored there, newest first.
+ * @returns {Promise<Object[]>}
+ */
+export async function fallBackToLegacy() {
+  legacyMode = true;
+  return newestFirst(readLegacy() || []);
+}
+
+/** One item as last written by any tab (undefined once deleted). */
+export async function loadHistoryItem(id) {
+  if (legacyMode) return (readLegacy() || []).find((x) => x.id === id);
+  const db = await openDb();
+  const tx = db.transaction([STORE, CALLS_STORE], "readonly");
+  const [item, log] = await Promise.all([
+    requestToPromise(tx.objectStore(STORE).get(id)),
+    requestToPromise(tx.objectStore(CALLS_STORE).get(id)),
+  ]);
+  return item && joinCalls([item], log ? [log] : [])[0];
+}
+
+/**
+ * Stored items (written by any tab) for these instantIds, keyed by instantId.
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function findHistoryByInstantIds(instantIds) {
+  if (legacyMode) {
+    const wanted = new Set(instantIds);
+    return new Map(
+      (readLegacy() || [])
+        .filter((x) => wanted.has(x.instantId))
+        .map((x) => [x.instantId, x])
+    );
+  }
+  const db = await openDb();
+  const index = db
+    .transaction(STORE, "readonly")
+    .objectStore(STORE)
+    .index("instantId");
+  const items = (
+    await Promise.all(
+      instantIds.map((instantId) => requestToPromise(index.get(instantId)))
+    )
+  ).filter(Boolean);
+  const logs = await loadCallLogs(
+    db,
+    items.map((item) => item.id)
+  );
+  return new Map(joinCalls(items, logs).map((item) => [item.instantId, item]));
+}
+
+// Fields (other than `calls`) that differ between two copies of an item;
+// null when none do. A removed field comes back as `undefined`.
+function changedFields(prev, next) {
+  let fields = null;
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (key !== "calls" && prev[key] !== next[key]) {
+      fields = fields || {};
+      fields[key] = next[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Persist the difference between two snapshots of the history list.
+ * Items are compared by reference (state updates are immutable); call logs
+ * are left to `saveCallLogs`. Resolves with what was written, once it has
+ * committed: new items whole (without `calls`), and only the changed fields
+ * of the others. Rejects when it could not be written (e.g. out of quota).
+ * @returns {Promise<{ puts: Object[], patches: { id: string, fields: Object }[], deletes: string[] }>}
+ */
+export async function syncHistory(prevItems, nextItems) {
+  const prevById = new Map(prevItems.map((x) => [x.id, x]));
+  const nextIds = new Set();
+  const puts = [];
+  const patches = [];
+  const records = [];
+  let touched = false;
+  for (const item of nextItems) {
+    nextIds.add(item.id);
+    const prev = prevById.get(item.id);
+    if (prev === item) continue;
+    touched = true;
+    if (!prev) {
+      puts.push(withoutCalls(item));
+      records.push(withoutCalls(item));
+      continue;
+    }
+    const fields = changedFields(prev, item);
+    if (fields) {
+      patches.push({ id: item.id, fields });
+      records.push(withoutCalls(item));
+    }
+  }
+  const deletes = prevItems.filter((x) => !nextIds.has(x.id)).map((x) => x.id);
+  const written = { puts, patches, deletes };
+
+  if (legacyMode) {
+    // the fallback keeps whole items, call logs included
+    if (touched || deletes.length) writeLegacy(nextItems);
+    return written;
+  }
+  if (!records.length && !deletes.length) return written;
+
+  const db = await openDb();
+  const tx = db.transaction([STORE, CALLS_STORE], "readwrite");
+  const store = tx.objectStore(STORE);
+  const logs = tx.objectStore(CALLS_STORE);
+  records.forEach((record) => store.put(record));
+  deletes.forEach((id) => {
+    store.delete(id);
+    logs.delete(id);
+  });
+  await transactionDone(tx);
+  return written;
+}
+
+/**
+ * Write these items' call logs. Resolves with what was written.
+ * (On the localStorage fallback they are already saved with their items.)
+ * @returns {Promise<{ id: string, calls: Object[] }[]>}
+ */
+export async function saveCallLogs(items) {
+  const logs = items.map((x) => ({ id: x.id, calls: x.calls || [] }));
+  if (legacyMode || !logs.length) return logs;
+  const db = await openDb();
+  const tx = db.transaction(CALLS_STORE, "readwrite");
+  logs.forEach((log) => tx.objectStore(CALLS_STORE).put(log));
+  await transactionDone(tx);
+  return logs;
+}
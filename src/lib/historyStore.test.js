@@ -0,0 +1,110 @@
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+let store;
+
+beforeEach(async () => {
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  // fresh module, so it opens the new database
+  vi.resetModules();
+  store = await import("./historyStore");
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function rawRecord(storeName, id) {
+  const db = await request(indexedDB.open("rbr_instant_lab"));
+  try {
+    return await request(
+      db.transaction(storeName, "readonly").objectStore(storeName).get(id)
+    );
+  } finally {
+    db.close();
+  }
+}
+
+const call = (n) => ({ endpoint: "status", responseBody: `body ${n}` });
+
+describe("historyStore", () => {
+  it("writes items without their call log, and patches only what changed", async () => {
+    const item = {
+      id: "a",
+      createdAt: "2026-01-01T00:00:00Z",
+      status: "queued",
+      calls: [call(1)],
+    };
+    const first = await store.syncHistory([], [item]);
+    expect(first.puts).toEqual([
+      { id: "a", createdAt: "2026-01-01T00:00:00Z", status: "queued" },
+    ]);
+    expect(first.patches).toEqual([]);
+
+    const polled = { ...item, status: "running", calls: [call(1), call(2)] };
+    const second = await store.syncHistory([item], [polled]);
+    expect(second.puts).toEqual([]);
+    expect(second.patches).toEqual([
+      { id: "a", fields: { status: "running" } },
+    ]);
+    expect(await rawRecord("history", "a")).not.toHaveProperty("calls");
+    expect(await rawRecord("calls", "a")).toBeUndefined();
+
+    // a change to the call log alone writes nothing
+    const logged = { ...polled, calls: [call(1), call(2), call(3)] };
+    expect(await store.syncHistory([polled], [logged])).toEqual({
+      puts: [],
+      patches: [],
+      deletes: [],
+    });
+  });
+
+  it("loads items with their saved call logs, and deletes both", async () => {
+    const item = { id: "a", createdAt: "2026-01-01T00:00:00Z", calls: [] };
+    await store.syncHistory([], [item]);
+    await store.saveCallLogs([{ ...item, calls: [call(1)] }]);
+
+    const [loaded] = await store.loadHistoryStore();
+    expect(loaded.calls).toEqual([call(1)]);
+    expect((await store.loadHistoryItem("a")).calls).toEqual([call(1)]);
+    expect((await store.findHistoryByInstantIds(["x"])).size).toBe(0);
+
+    await store.syncHistory([item], []);
+    expect(await store.loadHistoryStore()).toEqual([]);
+    expect(await rawRecord("calls", "a")).toBeUndefined();
+  });
+
+  it("moves the call logs older versions kept on the records", async () => {
+    const db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open("rbr_instant_lab", 2);
+      req.onupgradeneeded = () => {
+        const history = req.result.createObjectStore("history", {
+          keyPath: "id",
+        });
+        history.createIndex("createdAt", "createdAt");
+        history.createIndex("instantId", "instantId");
+        history.put({ id: "old", instantId: "i1", calls: [call(1)] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    db.close();
+
+    const [item] = await store.loadHistoryStore();
+    expect(item.calls).toEqual([call(1)]);
+    expect(await rawRecord("history", "old")).toEqual({
+      id: "old",
+      instantId: "i1",
+    });
+    expect(
+      (await store.findHistoryByInstantIds(["i1"])).get("i1").calls
+    ).toEqual([call(1)]);
+  });
+});
@@ -0,0 +1,93 @@
+// Client-side job queue: runs at most `concurrency` jobs at once and gives
+// every job its own AbortController, so one job can be cancelled without
+// touching the others.
+
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 10;
+
+export function clampConcurrency(n) {
+  const v = Math.round(Number(n));
+  if (!Number.isFinite(v)) return DEFAULT_CONCURRENCY;
+  return Math.max(1, Math.min(MAX_CONCURRENCY, v));
+}
+
+function cancelledError() {
+  const e = new Error("Cancelled");
+  e.name = "AbortError";
+  return e;
+}
+
+/**
+ * @param {{ concurrency?: number }} [opts]
+ */
+export function createJobQueue({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  let limit = clampConcurrency(concurrency);
+  const waiting = []; // [{ id, run, controller, resolve, reject }]
+  const active = new Map(); // id -> AbortController
+
+  function pump() {
+    while (active.size < limit && waiting.length) {
+      const job = waiting.shift();
+      active.set(job.id, job.controller);
+
+      Promise.resolve()
+        .then(() => job.run(job.controller.signal))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active.delete(job.id);
+          pump();
+        });
+    }
+  }
+
+  /**
+   * Queue `run(signal)` under `id`. Resolves/rejects with the job's result;
+   * rejects with an AbortError if cancelled before it starts.
+   */
+  function enqueue(id, run) {
+    if (active.has(id) || waiting.some((j) => j.id === id)) {
+      return Promise.reject(new Error(`Job ${id} is already queued`));
+    }
+    return new Promise((resolve, reject) => {
+      waiting.push({
+        id,
+        run,
+        controller: new AbortController(),
+        resolve,
+        reject,
+      });
+      pump();
+    });
+  }
+
+  function cancel(id) {
+    const idx = waiting.findIndex((j) => j.id === id);
+    if (idx >= 0) {
+      const [job] = waiting.splice(idx, 1);
+      job.controller.abort();
+      job.reject(cancelledError());
+      return true;
+    }
+    const controller = active.get(id);
+    if (controller) {
+      controller.abort();
+      return true;
+    }
+    return false;
+  }
+
+  function cancelAll() {
+    [...waiting.map((j) => j.id), ...active.keys()].forEach(cancel);
+  }
+
+  function setConcurrency(n) {
+    limit = clampConcurrency(n);
+    pump();
+  }
+
+  function has(id) {
+    return active.has(id) || waiting.some((j) => j.id === id);
+  }
+
+  return { enqueue, cancel, cancelAll, setConcurrency, has };
+}
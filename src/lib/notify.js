@@ -0,0 +1,139 @@
+// "Your report is ready" signals for when the tab is in the background:
+// opt-in browser notifications, an optional chime, and an unseen-count badge
+// on the document title and favicon (cleared when the tab is looked at).
+
+const NOTIFY_KEY = "rbr_instant_lab_notify_v1";
+
+export const DEFAULT_NOTIFY_SETTINGS = { notifications: false, sound: false };
+
+export function loadNotifySettings() {
+  try {
+    const raw = localStorage.getItem(NOTIFY_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return {
+      notifications: saved?.notifications === true,
+      sound: saved?.sound === true,
+    };
+  } catch {
+    return DEFAULT_NOTIFY_SETTINGS;
+  }
+}
+
+export function saveNotifySettings(settings) {
+  try {
+    localStorage.setItem(NOTIFY_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+/** "granted" | "denied" | "default" | "unsupported" */
+export function notificationPermission() {
+  return typeof Notification === "undefined"
+    ? "unsupported"
+    : Notification.permission;
+}
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/** True when the user isn't looking at this tab. */
+export function isInBackground() {
+  return document.hidden || !document.hasFocus();
+}
+
+/**
+ * Show a browser notification (no-op without permission). Clicking it
+ * focuses this tab and runs `onClick`.
+ */
+export function showNotification({ title, body, tag, onClick }) {
+  if (notificationPermission() !== "granted") return;
+  try {
+    const n = new Notification(title, { body, tag });
+    n.onclick = () => {
+      window.focus();
+      onClick?.();
+      n.close();
+    };
+  } catch {
+    // ignore (e.g. mobile browsers that only allow service-worker notifications)
+  }
+}
+
+let audioContext = null;
+
+/** Two short sine notes; rising for success, falling for failure. */
+export function playChime(ok = true) {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audioContext = audioContext || new Ctx();
+    const notes = ok ? [660, 880] : [440, 330];
+    notes.forEach((freq, i) => {
+      const start = audioContext.currentTime + i * 0.16;
+      const osc = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.2, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.15);
+      osc.connect(gain).connect(audioContext.destination);
+      osc.start(start);
+      osc.stop(start + 0.16);
+    });
+  } catch {
+    // ignore
+  }
+}
+
+// ---- title + favicon badge ----
+
+const TITLE_BADGE = /^\(\d+\+?\) /;
+let originalFavicon = null;
+let badgeCount = 0;
+
+function faviconLink() {
+  return document.querySelector('link[rel~="icon"]');
+}
+
+function drawFavicon(link, count) {
+  const img = new Image();
+  img.onload = () => {
+    if (badgeCount !== count) return; // superseded while loading
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = 32;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0, 32, 32);
+    ctx.fillStyle = "#e5484d";
+    ctx.beginPath();
+    ctx.arc(22, 10, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 14px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(count > 9 ? "9+" : String(count), 22, 11);
+    link.href = canvas.toDataURL("image/png");
+  };
+  img.src = originalFavicon;
+}
+
+/** Show `count` unseen results on the title and favicon; 0 clears both. */
+export function setBadge(count) {
+  if (count === badgeCount) return;
+  badgeCount = count;
+  const title = document.title.replace(TITLE_BADGE, "");
+  document.title = count ? `(${count > 99 ? "99+" : count}) ${title}` : title;
+
+  const link = faviconLink();
+  if (!link) return;
+  if (originalFavicon === null) originalFavicon = link.href;
+  if (!count) {
+    link.href = originalFavicon;
+    return;
+  }
+  drawFavicon(link, count);
+}
@@ -0,0 +1,107 @@
+// Compare-grid layout: which history items are pinned, in what order, and
+// which one (if any) is maximised. Persisted like history so the grid comes
+// back after a reload.
+
+const PANES_KEY = "rbr_instant_lab_panes_v1";
+
+export const MAX_PANES = 8;
+
+/** @typedef {{ itemIds: string[], maximized: string|null }} PaneLayout */
+
+export const EMPTY_LAYOUT = { itemIds: [], maximized: null };
+
+function sanitize(layout) {
+  const ids = Array.isArray(layout?.itemIds)
+    ? [...new Set(layout.itemIds.filter((id) => typeof id === "string"))]
+    : [];
+  const itemIds = ids.slice(0, MAX_PANES);
+  const maximized = itemIds.includes(layout?.maximized)
+    ? layout.maximized
+    : null;
+  return { itemIds, maximized };
+}
+
+/** @returns {PaneLayout|null} null when nothing was saved yet */
+export function loadPaneLayout() {
+  try {
+    const raw = localStorage.getItem(PANES_KEY);
+    return raw ? sanitize(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function savePaneLayout(layout) {
+  try {
+    localStorage.setItem(PANES_KEY, JSON.stringify(layout));
+  } catch {
+    // ignore
+  }
+}
+
+/** First-run layout: the two newest reports, like the old Left/Right panes. */
+export function defaultPaneLayout(history) {
+  const newest = [...history]
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    .slice(0, 2)
+    .map((x) => x.id);
+  return { itemIds: newest, maximized: null };
+}
+
+export function isPinned(layout, itemId) {
+  return layout.itemIds.includes(itemId);
+}
+
+/** Append a pane (no-op if already pinned or the grid is full). */
+export function pinPane(layout, itemId) {
+  if (isPinned(layout, itemId) || layout.itemIds.length >= MAX_PANES) {
+    return layout;
+  }
+  return { ...layout, itemIds: [...layout.itemIds, itemId] };
+}
+
+/**
+ * Put an item in the first pane, pushing the others along. The grid keeps its
+ * size (at least two panes), so the last pane drops off when it's full.
+ */
+export function showFirst(layout, itemId) {
+  const others = layout.itemIds.filter((id) => id !== itemId);
+  const keep = Math.max(2, layout.itemIds.length);
+  return sanitize({
+    itemIds: [itemId, ...others].slice(0, keep),
+    maximized: layout.maximized,
+  });
+}
+
+export function unpinPane(layout, itemId) {
+  if (!isPinned(layout, itemId)) return layout;
+  return sanitize({
+    itemIds: layout.itemIds.filter((id) => id !== itemId),
+    maximized: layout.maximized === itemId ? null : layout.maximized,
+  });
+}
+
+export function movePane(layout, itemId, delta) {
+  const from = layout.itemIds.indexOf(itemId);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= layout.itemIds.length) return layout;
+  const itemIds = [...layout.itemIds];
+  itemIds.splice(from, 1);
+  itemIds.splice(to, 0, itemId);
+  return { ...layout, itemIds };
+}
+
+export function toggleMaximized(layout, itemId) {
+  return {
+    ...layout,
+    maximized: layout.maximized === itemId ? null : itemId,
+  };
+}
+
+/** Drop panes whose history item no longer exists. */
+export function prunePanes(layout, history) {
+  const known = new Set(history.map((x) => x.id));
+  const itemIds = layout.itemIds.filter((id) => known.has(id));
+  if (itemIds.length === layout.itemIds.length) return layout;
+  return sanitize({ itemIds, maximized: layout.maximized });
+}
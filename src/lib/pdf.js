@@ -0,0 +1,57 @@
+// pdf.js wiring: one worker for the app and a small cache of open documents,
+// so the viewer and the text extractor don't download the same PDF twice.
+import { GlobalWorkerOptions, getDocument } from "pdfjs-dist";
+import workerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Documents nobody holds are kept for reuse, up to this many; a held one is
+// never destroyed, however many panes are open.
+const MAX_IDLE_DOCS = 6;
+const cache = new Map(); // url (without fragment) -> { promise, users }
+
+function cacheKey(url) {
+  return String(url || "").split("#")[0];
+}
+
+function evictIdle() {
+  const idle = [...cache.entries()].filter(([, entry]) => !entry.users);
+  while (idle.length > MAX_IDLE_DOCS) {
+    const [key, entry] = idle.shift();
+    cache.delete(key);
+    entry.promise.then((d) => d.destroy()).catch(() => {});
+  }
+}
+
+/**
+ * Open (or reuse) a PDF document and hold it until `release()` is called.
+ * `promise` rejects with pdf.js' error on failure.
+ * @returns {{ promise: Promise<import("pdfjs-dist").PDFDocumentProxy>, release: () => void }}
+ */
+export function acquirePdfDocument(url) {
+  const key = cacheKey(url);
+  let entry = cache.get(key);
+  if (entry) {
+    // refresh LRU position
+    cache.delete(key);
+  } else {
+    entry = { promise: getDocument({ url: key }).promise, users: 0 };
+    entry.promise.catch(() => {
+      if (cache.get(key) === entry) cache.delete(key);
+    });
+  }
+  cache.set(key, entry);
+  entry.users += 1;
+  evictIdle();
+
+  let released = false;
+  return {
+    promise: entry.promise,
+    release() {
+      if (released) return;
+      released = true;
+      entry.users -= 1;
+      evictIdle();
+    },
+  };
+}
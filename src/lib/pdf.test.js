@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const destroyed = [];
+
+vi.mock("pdfjs-dist", () => ({
+  GlobalWorkerOptions: {},
+  getDocument: ({ url }) => ({
+    promise: url.includes("broken")
+      ? Promise.reject(new Error("Invalid PDF"))
+      : Promise.resolve({ url, destroy: () => destroyed.push(url) }),
+  }),
+}));
+
+let acquirePdfDocument;
+
+beforeEach(async () => {
+  destroyed.length = 0;
+  vi.resetModules(); // empty cache per test
+  ({ acquirePdfDocument } = await import("./pdf"));
+});
+
+// Lets the destroy() calls queued on resolved documents run.
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+describe("acquirePdfDocument", () => {
+  it("shares one document per URL, ignoring the fragment", async () => {
+    const a = acquirePdfDocument("https://s3/a.pdf#ts=1");
+    const b = acquirePdfDocument("https://s3/a.pdf#ts=2");
+    expect(await a.promise).toBe(await b.promise);
+  });
+
+  it("never destroys a document that is still held", async () => {
+    const held = Array.from({ length: 10 }, (_, i) =>
+      acquirePdfDocument(`https://s3/${i}.pdf`)
+    );
+    await flush();
+    expect(destroyed).toEqual([]);
+
+    held.forEach((h) => h.release());
+    await flush();
+    // the oldest idle ones go, six stay cached
+    expect(destroyed).toEqual([0, 1, 2, 3].map((i) => `https://s3/${i}.pdf`));
+  });
+
+  it("keeps a released document cached for the next viewer", async () => {
+    const first = acquirePdfDocument("https://s3/a.pdf");
+    const doc = await first.promise;
+    first.release();
+    first.release(); // idempotent
+    const again = acquirePdfDocument("https://s3/a.pdf");
+    expect(await again.promise).toBe(doc);
+    await flush();
+    expect(destroyed).toEqual([]);
+  });
+
+  it("drops failed documents so the next open retries", async () => {
+    const first = acquirePdfDocument("https://s3/broken.pdf");
+    await expect(first.promise).rejects.toThrow("Invalid PDF");
+    const again = acquirePdfDocument("https://s3/broken.pdf");
+    expect(again.promise).not.toBe(first.promise);
+    await expect(again.promise).rejects.toThrow("Invalid PDF");
+  });
+});
@@ -0,0 +1,74 @@
+// Plain-text extraction for the diff view. pdf.js hands back positioned text
+// runs; we rebuild lines from them and split lines into paragraphs wherever
+// the vertical gap is noticeably larger than the line height.
+import { acquirePdfDocument } from "./pdf";
+
+const PARAGRAPH_GAP = 1.6; // × line height
+
+function pageLines(items) {
+  const lines = [];
+  let text = "";
+  let y = null;
+  let height = 0;
+
+  function flush() {
+    const t = text.replace(/\s+/g, " ").trim();
+    if (t) lines.push({ text: t, y, height: height || 10 });
+    text = "";
+    y = null;
+    height = 0;
+  }
+
+  for (const item of items) {
+    if (typeof item.str !== "string") continue; // marked-content markers
+    const itemY = item.transform[5];
+    // A baseline jump without hasEOL still starts a new line
+    if (y !== null && Math.abs(itemY - y) > Math.max(2, height * 0.5)) flush();
+    if (y === null) y = itemY;
+    height = Math.max(height, item.height || 0);
+    text += item.str;
+    if (item.hasEOL) flush();
+  }
+  flush();
+  return lines;
+}
+
+function linesToParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+
+  lines.forEach((line, i) => {
+    const prev = lines[i - 1];
+    const gap = prev ? prev.y - line.y : 0;
+    if (
+      current.length &&
+      gap > Math.max(prev.height, line.height) * PARAGRAPH_GAP
+    ) {
+      paragraphs.push(current.join(" "));
+      current = [];
+    }
+    current.push(line.text);
+  });
+  if (current.length) paragraphs.push(current.join(" "));
+  return paragraphs;
+}
+
+/**
+ * Extract a PDF's text as paragraphs, in reading order.
+ * @returns {Promise<{ paragraphs: string[], pages: number }>}
+ */
+export async function extractPdfText(url) {
+  const { promise, release } = acquirePdfDocument(url);
+  try {
+    const doc = await promise;
+    const paragraphs = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      paragraphs.push(...linesToParagraphs(pageLines(content.items)));
+    }
+    return { paragraphs, pages: doc.numPages };
+  } finally {
+    release();
+  }
+}
@@ -0,0 +1,73 @@
+// Presigned S3 URLs stop working after `X-Amz-Expires` seconds from
+// `X-Amz-Date`. We record both on the history item so stale links can be
+// re-presigned (from the stored s3Key) before they are shown.
+
+// Re-presign a little early so a frame doesn't expire while it loads.
+export const EXPIRY_SKEW_MS = 60 * 1000;
+
+// "20250101T120000Z" -> ms since epoch
+function parseAmzDate(v) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(v || "");
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+/**
+ * @returns {{ issuedAt: string | null, expiresAt: string | null }}
+ */
+export function parsePresignExpiry(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return { issuedAt: null, expiresAt: null };
+  }
+
+  // SigV4
+  const issued = parseAmzDate(params.get("X-Amz-Date"));
+  const ttl = Number(params.get("X-Amz-Expires"));
+  if (issued !== null && Number.isFinite(ttl) && ttl > 0) {
+    return {
+      issuedAt: new Date(issued).toISOString(),
+      expiresAt: new Date(issued + ttl * 1000).toISOString(),
+    };
+  }
+
+  // SigV2 (`Expires` is an absolute epoch in seconds)
+  const expiresEpoch = Number(params.get("Expires"));
+  if (Number.isFinite(expiresEpoch) && expiresEpoch > 0) {
+    return {
+      issuedAt: issued !== null ? new Date(issued).toISOString() : null,
+      expiresAt: new Date(expiresEpoch * 1000).toISOString(),
+    };
+  }
+
+  return {
+    issuedAt: issued !== null ? new Date(issued).toISOString() : null,
+    expiresAt: null,
+  };
+}
+
+/** History-item fields for a freshly presigned URL. */
+export function presignedUrlFields(url, receivedAt = new Date()) {
+  const { issuedAt, expiresAt } = parsePresignExpiry(url);
+  return {
+    pdfUrl: url,
+    pdfUrlIssuedAt: issuedAt || receivedAt.toISOString(),
+    pdfUrlExpiresAt: expiresAt || "",
+  };
+}
+
+/** Expiry (ms) for an item; falls back to parsing URLs stored before we tracked it. */
+export function urlExpiresAt(item) {
+  if (!item?.pdfUrl) return null;
+  const iso = item.pdfUrlExpiresAt || parsePresignExpiry(item.pdfUrl).expiresAt;
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+export function isUrlExpired(item, now = Date.now()) {
+  const t = urlExpiresAt(item);
+  return t !== null && t - EXPIRY_SKEW_MS <= now;
+}
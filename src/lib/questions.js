@@ -0,0 +1,74 @@
+// Question-set rules: how many questions a report may have and what makes a
+// single question invalid.
+
+const LIMITS_KEY = "rbr_instant_lab_question_limits";
+
+export const DEFAULT_LIMITS = { min: 3, max: 8 };
+export const HARD_MAX_QUESTIONS = 20;
+export const MAX_QUESTION_LENGTH = 500;
+
+export function clampLimits({ min, max } = {}) {
+  const lo = Math.max(1, Math.min(HARD_MAX_QUESTIONS, Math.round(Number(min))));
+  const hi = Math.max(1, Math.min(HARD_MAX_QUESTIONS, Math.round(Number(max))));
+  const safeLo = Number.isFinite(lo) ? lo : DEFAULT_LIMITS.min;
+  const safeHi = Number.isFinite(hi) ? hi : DEFAULT_LIMITS.max;
+  return { min: safeLo, max: Math.max(safeLo, safeHi) };
+}
+
+export function loadQuestionLimits() {
+  try {
+    const raw = localStorage.getItem(LIMITS_KEY);
+    return raw ? clampLimits(JSON.parse(raw)) : DEFAULT_LIMITS;
+  } catch {
+    return DEFAULT_LIMITS;
+  }
+}
+
+export function saveQuestionLimits(limits) {
+  try {
+    localStorage.setItem(LIMITS_KEY, JSON.stringify(limits));
+  } catch {
+    // ignore
+  }
+}
+
+export function countError(count, { min, max }) {
+  if (count < min) return `Add at least ${min} question(s) (have ${count}).`;
+  if (count > max) return `Use at most ${max} question(s) (have ${count}).`;
+  return "";
+}
+
+/**
+ * @returns {{ errors: string[], countError: string, valid: boolean }}
+ *   `errors[i]` is the message for question i ("" when fine).
+ */
+export function validateQuestions(questions, limits) {
+  const trimmed = questions.map((q) => (q || "").trim());
+  const seen = new Map();
+
+  const errors = trimmed.map((q, i) => {
+    if (!q) return "Question is empty.";
+    if (q.length > MAX_QUESTION_LENGTH) {
+      return `Too long (${q.length}/${MAX_QUESTION_LENGTH} characters).`;
+    }
+    const key = q.toLowerCase();
+    if (seen.has(key)) return `Duplicate of question ${seen.get(key) + 1}.`;
+    seen.set(key, i);
+    return "";
+  });
+
+  const count = countError(trimmed.length, limits);
+  return {
+    errors,
+    countError: count,
+    valid: !count && errors.every((e) => !e),
+  };
+}
+
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(Math.min(to, next.length), 0, item);
+  return next;
+}
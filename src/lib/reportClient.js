@@ -0,0 +1,639 @@
+// Report API client for the Instant Lite pipeline:
+//   Confirm (queue the job) -> Status (poll until done) -> Presign (download link)
+//
+// Nothing in here depends on React, so other internal tools can reuse it and it
+// can be exercised with a fake `fetch`.
+
+// Polling behavior: exponential backoff with jitter, starting at
+// POLL_EVERY_MS and capped at POLL_MAX_DELAY_MS. After MAX_WAIT_MS the caller
+// is asked (via `onDeadline`) whether to keep waiting.
+export const MAX_WAIT_MS = 120000; // 2 minutes
+export const POLL_EVERY_MS = 2500; // 2.5s
+export const POLL_MAX_DELAY_MS = 15000;
+export const POLL_BACKOFF_FACTOR = 1.5;
+export const POLL_JITTER = 0.2; // ±20%
+
+// Transient failures (network, 429, 5xx) are retried this many times with
+// exponential backoff before the error reaches the caller. Confirm is only
+// safe to retry because every payload carries an idempotency key.
+export const RETRY_ATTEMPTS = 3;
+export const RETRY_BASE_MS = 1000;
+export const RETRY_MAX_DELAY_MS = 8000;
+// Upper bound on a server-sent Retry-After.
+export const RETRY_AFTER_CAP_MS = 30000;
+
+/**
+ * @typedef {"http" | "api" | "parse" | "network" | "shape" | "failed" | "timeout" | "aborted"} ReportErrorKind
+ *
+ * @typedef {Object} ConfirmPayload
+ * @property {boolean} bypass
+ * @property {string} employeeId
+ * @property {string} query
+ * @property {string[]} questions
+ * @property {string} [idempotencyKey] Same key = same report; added by
+ *   `confirm` when missing, but callers should store one with the payload so
+ *   a re-submit after a reload reuses it
+ *
+ * @typedef {Object} ConfirmResult
+ * @property {string} userPhone
+ * @property {string} instantId
+ * @property {string} status
+ * @property {string} s3Key
+ * @property {string} title
+ * @property {string} createdAt
+ * @property {Object} data Raw response body
+ *
+ * @typedef {Object} StatusResult
+ * @property {string} status Lower-cased status ("queued" | "running" | "done" | "failed" | …)
+ * @property {string} rawStatus Status exactly as returned by the API
+ * @property {string} s3Key
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string} error
+ * @property {number | null} progress Server-reported progress, 0–100
+ * @property {string} stage Server-reported stage label
+ * @property {number | null} etaSeconds Server-reported seconds remaining
+ * @property {Object} data Raw response body
+ *
+ * @typedef {Object} PresignResult
+ * @property {string} url
+ * @property {Object} data Raw response body
+ *
+ * @typedef {Object} CallRecord One HTTP exchange, as reported to `onCall`
+ * @property {string} at ISO time the request was sent
+ * @property {"confirm" | "status" | "presign"} endpoint
+ * @property {string} method
+ * @property {string} url
+ * @property {string | null} requestBody
+ * @property {number | null} status HTTP status (null when no response arrived)
+ * @property {number} latencyMs
+ * @property {string} responseBody Raw response text
+ * @property {string} error Network/abort error, "" when a response arrived
+ *
+ * @typedef {Object} RetryInfo
+ * @property {number} attempt 1-based retry number
+ * @property {number} retries Retries allowed in total
+ * @property {number} delayMs Wait before this retry
+ * @property {ReportApiError} error What failed
+ *
+ * @typedef {{ signal?: AbortSignal, onCall?: (call: CallRecord) => void, onRetry?: (info: RetryInfo) => void }} CallOptions
+ *
+ * @typedef {Object} ReportClient
+ * @property {(payload: ConfirmPayload, opts?: CallOptions) => Promise<ConfirmResult>} confirm
+ * @property {(ids: { userPhone: string, instantId: string }, opts?: CallOptions) => Promise<StatusResult>} status
+ * @property {(ids: { userPhone?: string, instantId?: string, s3Key?: string }, opts?: CallOptions) => Promise<PresignResult>} presign
+ */
+
+export class ReportApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind?: ReportErrorKind, status?: number, data?: any, retryAfterMs?: number | null }} [info]
+   */
+  constructor(
+    message,
+    { kind = "api", status = 0, data = null, retryAfterMs = null } = {}
+  ) {
+    super(message);
+    this.name = "ReportApiError";
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function isAbortError(e) {
+  return e?.kind === "aborted" || e?.name === "AbortError";
+}
+
+/**
+ * Worth retrying: the request may well succeed a moment later (no response,
+ * throttled, or a gateway/server error). Anything else is permanent.
+ */
+export function isTransientError(e) {
+  if (!e || isAbortError(e)) return false;
+  if (e.kind === "network") return true;
+  return e.kind === "http" && (e.status === 429 || e.status >= 500);
+}
+
+export function newIdempotencyKey() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `idem-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 12)}`;
+}
+
+// Retry-After is either seconds or an HTTP date.
+function parseRetryAfter(res, now = Date.now()) {
+  const v = res?.headers?.get?.("Retry-After");
+  if (!v) return null;
+  const ms = /^\d+$/.test(v) ? Number(v) * 1000 : Date.parse(v) - now;
+  return Number.isFinite(ms)
+    ? Math.min(RETRY_AFTER_CAP_MS, Math.max(0, ms))
+    : null;
+}
+
+export async function fetchJson(url, options, fetchImpl = defaultFetch) {
+  let res;
+  let text;
+  // A connection dropped while the body streams in is a network error too.
+  try {
+    res = await fetchImpl(url, options);
+    text = await res.text();
+  } catch (e) {
+    if (isAbortError(e)) throw abortedError();
+    throw new ReportApiError(e?.message || "Network error", {
+      kind: "network",
+    });
+  }
+
+  let data = {};
+  let malformed = false;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { raw: text };
+    malformed = true;
+  }
+  return { res, data, malformed, text };
+}
+
+export function buildErrorMessage(res, data, fallback) {
+  const base =
+    data?.error ||
+    data?.message ||
+    data?.details ||
+    (typeof data?.raw === "string" && data.raw.slice(0, 300)) ||
+    fallback;
+
+  return base || fallback || `HTTP ${res?.status || "error"}`;
+}
+
+/**
+ * Turn a fetchJson() result into a ReportApiError when it is not usable:
+ * non-2xx -> "http", unparseable body -> "parse", `ok:false` -> "api".
+ * `requireOk` also rejects bodies that merely omit `ok:true`.
+ */
+export function classifyResponse(
+  { res, data, malformed },
+  fallback,
+  { requireOk = true } = {}
+) {
+  if (!res.ok) {
+    return new ReportApiError(buildErrorMessage(res, data, fallback), {
+      kind: "http",
+      status: res.status,
+      data,
+      retryAfterMs: parseRetryAfter(res),
+    });
+  }
+  if (malformed) {
+    return new ReportApiError(
+      buildErrorMessage(res, data, `${fallback}: malformed JSON`),
+      { kind: "parse", status: res.status, data }
+    );
+  }
+  if (data?.ok === false || (requireOk && !data?.ok)) {
+    return new ReportApiError(buildErrorMessage(res, data, fallback), {
+      kind: "api",
+      status: res.status,
+      data,
+    });
+  }
+  return null;
+}
+
+// ---- Response shape normalisers (lambdas often differ in casing) ----
+
+export function normalizeConfirmResponse(data) {
+  return {
+    userPhone: data?.userPhone || data?.user_phone || "",
+    instantId: data?.instantId || data?.instant_id || "",
+    status: data?.status || "queued",
+    s3Key: data?.s3Key || data?.s3_key || "",
+    title: data?.title || "",
+    createdAt: data?.createdAt || data?.created_at || "",
+    data,
+  };
+}
+
+export function normalizeStatusResponse(data) {
+  const rawStatus = data?.status || "unknown";
+  return {
+    status: String(data?.status || "").toLowerCase(),
+    rawStatus,
+    s3Key: data?.s3Key || data?.s3_key || "",
+    title: data?.title || "",
+    subtitle: data?.subtitle || "",
+    error: data?.error || data?.details || "",
+    progress:
+      data?.progress != null || data?.percent != null
+        ? parseProgress(data?.progress ?? data?.percent)
+        : parseProgress(data?.progressPct ?? data?.fraction, {
+            fraction: true,
+          }),
+    stage: String(data?.stage || data?.step || ""),
+    etaSeconds: parseEta(data?.eta ?? data?.etaSeconds ?? data?.eta_seconds),
+    data,
+  };
+}
+
+// `progressPct` / `fraction` are 0–1 fractions (despite the name);
+// `progress` / `percent` are 0–100, though some servers send a fraction
+// there too. An integer is always a percentage: 1 is 1%, not done.
+function parseProgress(v, { fraction = false } = {}) {
+  const n = typeof v === "string" ? parseFloat(v) : v;
+  if (typeof n !== "number" || !Number.isFinite(n) || n < 0) return null;
+  const pct = fraction || (n < 1 && !Number.isInteger(n)) ? n * 100 : n;
+  return Math.min(100, pct);
+}
+
+// Seconds remaining, or an ISO timestamp of the expected finish.
+function parseEta(v, now = Date.now()) {
+  if (typeof v === "number" && Number.isFinite(v)) return Math.max(0, v);
+  if (typeof v !== "string" || !v) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Number(v);
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? Math.max(0, Math.round((t - now) / 1000)) : null;
+}
+
+export function normalizePresignResponse(data) {
+  return (
+    data?.presignedUrl ||
+    data?.presigned_url ||
+    data?.url ||
+    data?.presignedURL ||
+    ""
+  );
+}
+
+// "cancelled" is client-side only: the user stopped watching the job.
+export const TERMINAL_STATUSES = ["done", "failed", "cancelled"];
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(String(status || "").toLowerCase());
+}
+
+export function defaultS3Key({ userPhone, instantId }) {
+  return `instant/${userPhone}/${instantId}.pdf`;
+}
+
+// IMPORTANT: Use fragment buster only (never add query params to presigned URL)
+export function withFragmentBuster(url) {
+  if (!url) return url;
+  const base = url.split("#")[0]; // strip existing fragment if any
+  return `${base}#ts=${Date.now()}`;
+}
+
+// ---- Client ----
+
+// Endpoints may be same-origin paths (e.g. the dev server's /__mock routes).
+function resolveUrl(url) {
+  return new URL(url, globalThis.location?.href);
+}
+
+/**
+ * Run `attempt` until it succeeds, fails permanently, or `retries` transient
+ * failures have been retried. Waits honour Retry-After when the server sends it.
+ */
+export async function withRetries(
+  attempt,
+  { signal, onRetry, retries = RETRY_ATTEMPTS, ...backoff } = {}
+) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt();
+    } catch (e) {
+      if (n >= retries || !isTransientError(e)) throw e;
+      const delayMs =
+        e.retryAfterMs ??
+        nextPollDelay(n, {
+          initialDelayMs: RETRY_BASE_MS,
+          maxDelayMs: RETRY_MAX_DELAY_MS,
+          factor: 2,
+          ...backoff,
+        });
+      onRetry?.({ attempt: n + 1, retries, delayMs, error: e });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * @param {{ confirmUrl: string, statusUrl: string, presignUrl: string, fetch?: typeof fetch, retries?: number }} config
+ * @returns {ReportClient}
+ */
+export function createReportClient({
+  confirmUrl,
+  statusUrl,
+  presignUrl,
+  fetch: fetchImpl = defaultFetch,
+  retries = RETRY_ATTEMPTS,
+}) {
+  // fetchJson() plus a CallRecord for `onCall`, whether or not it succeeded.
+  async function request(endpoint, url, options, onCall) {
+    const at = new Date().toISOString();
+    const started = Date.now();
+    const record = (fields) =>
+      onCall?.({
+        at,
+        endpoint,
+        method: options.method,
+        url,
+        requestBody: options.body ?? null,
+        latencyMs: Date.now() - started,
+        ...fields,
+      });
+
+    try {
+      const result = await fetchJson(url, options, fetchImpl);
+      record({
+        status: result.res.status,
+        responseBody: result.text,
+        error: "",
+      });
+      return result;
+    } catch (e) {
+      record({ status: null, responseBody: "", error: e?.message || "" });
+      throw e;
+    }
+  }
+
+  async function confirmOnce(payload, { signal, onCall }) {
+    const result = await request(
+      "confirm",
+      resolveUrl(confirmUrl).toString(),
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal,
+      },
+      onCall
+    );
+
+    const err = classifyResponse(result, "Request failed");
+    if (err) throw err;
+
+    const confirmed = normalizeConfirmResponse(result.data);
+    if (!confirmed.userPhone || !confirmed.instantId) {
+      throw new ReportApiError(
+        "Confirm API did not return userPhone + instantId",
+        { kind: "shape", status: result.res.status, data: result.data }
+      );
+    }
+    return confirmed;
+  }
+
+  async function statusOnce({ userPhone, instantId }, { signal, onCall }) {
+    const url = resolveUrl(statusUrl);
+    url.searchParams.set("userPhone", userPhone);
+    url.searchParams.set("instantId", instantId);
+
+    const result = await request(
+      "status",
+      url.toString(),
+      {
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+        signal,
+      },
+      onCall
+    );
+
+    const err = classifyResponse(result, "Status check failed");
+    if (err) throw err;
+
+    return normalizeStatusResponse(result.data);
+  }
+
+  async function presignOnce(
+    { userPhone, instantId, s3Key },
+    { signal, onCall }
+  ) {
+    const url = resolveUrl(presignUrl);
+
+    // Prefer s3Key if available (cleanest)
+    if (s3Key) {
+      url.searchParams.set("s3Key", s3Key);
+    } else {
+      url.searchParams.set("userPhone", userPhone);
+      url.searchParams.set("instantId", instantId);
+    }
+
+    const result = await request(
+      "presign",
+      url.toString(),
+      {
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+        signal,
+      },
+      onCall
+    );
+
+    // Presign lambdas don't always send `ok:true`; only an explicit false fails.
+    const err = classifyResponse(result, "Presign failed", {
+      requireOk: false,
+    });
+    if (err) throw err;
+
+    const u = normalizePresignResponse(result.data);
+    if (!u) {
+      throw new ReportApiError("Presign API returned no URL", {
+        kind: "shape",
+        status: result.res.status,
+        data: result.data,
+      });
+    }
+    return { url: u, data: result.data };
+  }
+
+  function retryOptions({ signal, onRetry }) {
+    return { signal, onRetry, retries };
+  }
+
+  // Every retry of one submit sends the same key, so the backend can tell a
+  // retry from a new report.
+  function confirm(payload, opts = {}) {
+    const body = payload.idempotencyKey
+      ? payload
+      : { ...payload, idempotencyKey: newIdempotencyKey() };
+    return withRetries(() => confirmOnce(body, opts), retryOptions(opts));
+  }
+
+  function status(ids, opts = {}) {
+    return withRetries(() => statusOnce(ids, opts), retryOptions(opts));
+  }
+
+  function presign(ids, opts = {}) {
+    return withRetries(() => presignOnce(ids, opts), retryOptions(opts));
+  }
+
+  return { confirm, status, presign };
+}
+
+// ---- Orchestration ----
+
+/**
+ * Delay before poll number `attempt` (0-based):
+ * initialDelayMs * factor^attempt, capped at maxDelayMs, then ±jitter.
+ */
+export function nextPollDelay(
+  attempt,
+  {
+    initialDelayMs = POLL_EVERY_MS,
+    maxDelayMs = POLL_MAX_DELAY_MS,
+    factor = POLL_BACKOFF_FACTOR,
+    jitter = POLL_JITTER,
+  } = {},
+  random = Math.random
+) {
+  const base = Math.min(maxDelayMs, initialDelayMs * factor ** attempt);
+  const spread = base * jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
+
+/**
+ * Poll the Status API until the report is `done` (resolves with the last
+ * StatusResult) or `failed` / timed out / aborted (rejects).
+ *
+ * The backoff restarts whenever the status changes (e.g. queued -> running).
+ * When `maxWaitMs` elapses, `onDeadline({ waitedMs, signal })` may resolve
+ * `true` to keep waiting for another `maxWaitMs`; otherwise it times out.
+ */
+export async function pollStatus(
+  client,
+  { userPhone, instantId },
+  {
+    signal,
+    onStatus,
+    onDeadline,
+    onCall,
+    onRetry,
+    maxWaitMs = MAX_WAIT_MS,
+    ...backoff
+  } = {}
+) {
+  const startedAt = Date.now();
+  let deadline = startedAt + maxWaitMs;
+  let attempt = 0;
+  let lastStatus = "";
+
+  for (;;) {
+    throwIfAborted(signal);
+
+    const st = await client.status(
+      { userPhone, instantId },
+      { signal, onCall, onRetry }
+    );
+    onStatus?.(st);
+
+    if (st.status === "done") return st;
+
+    if (st.status === "failed") {
+      throw new ReportApiError(st.error || "Report generation failed", {
+        kind: "failed",
+        data: st.data,
+      });
+    }
+
+    if (st.status !== lastStatus) attempt = 0;
+    lastStatus = st.status;
+
+    if (Date.now() >= deadline) {
+      const waitedMs = Date.now() - startedAt;
+      const keepWaiting = onDeadline
+        ? await onDeadline({ waitedMs, signal })
+        : false;
+      throwIfAborted(signal);
+      if (!keepWaiting) {
+        throw new ReportApiError(
+          `Still running after ${Math.round(
+            waitedMs / 1000
+          )}s. Please wait and try again.`,
+          { kind: "timeout" }
+        );
+      }
+      deadline = Date.now() + maxWaitMs;
+    }
+
+    await sleep(nextPollDelay(attempt++, backoff), signal);
+  }
+}
+
+/**
+ * Wait for an already-confirmed report and presign its PDF. `s3Key`, when
+ * given, is used if Status doesn't report one.
+ * Resolves with `{ status, s3Key, pdfUrl }`.
+ */
+export async function waitForReport(
+  client,
+  { userPhone, instantId, s3Key: knownS3Key },
+  opts = {}
+) {
+  const st = await pollStatus(client, { userPhone, instantId }, opts);
+  throwIfAborted(opts.signal);
+
+  const s3Key =
+    st.s3Key || knownS3Key || defaultS3Key({ userPhone, instantId });
+  opts.onPresigning?.({ s3Key });
+
+  const { url } = await client.presign(
+    { userPhone, instantId, s3Key },
+    { signal: opts.signal, onCall: opts.onCall, onRetry: opts.onRetry }
+  );
+  return { status: st, s3Key, pdfUrl: withFragmentBuster(url) };
+}
+
+/**
+ * Full flow: Confirm -> poll Status -> Presign.
+ *
+ * Callbacks: `onConfirmed(ConfirmResult)`, `onStatus(StatusResult)`,
+ * `onPresigning({ s3Key })`, `onCall(CallRecord)` for every request and
+ * `onRetry(RetryInfo)` before a transient failure is retried.
+ * Resolves with
+ * `{ confirmed, status, s3Key, pdfUrl }`.
+ */
+export async function generateReport(client, payload, opts = {}) {
+  throwIfAborted(opts.signal);
+
+  const confirmed = await client.confirm(payload, {
+    signal: opts.signal,
+    onCall: opts.onCall,
+    onRetry: opts.onRetry,
+  });
+  opts.onConfirmed?.(confirmed);
+
+  const done = await waitForReport(client, confirmed, opts);
+  return { confirmed, ...done };
+}
+
+// ---- helpers ----
+
+function defaultFetch(...args) {
+  return fetch(...args);
+}
+
+function abortedError() {
+  return new ReportApiError("Cancelled", { kind: "aborted" });
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortedError();
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortedError());
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(abortedError());
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,269 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  classifyResponse,
+  createReportClient,
+  fetchJson,
+  normalizeConfirmResponse,
+  normalizePresignResponse,
+  normalizeStatusResponse,
+  pollStatus,
+} from "./reportClient";
+
+// A `fetch` that answers every call with the next of `replies`
+// ({ status, body } where a non-string body is sent as JSON).
+function fakeFetch(...replies) {
+  const calls = [];
+  const impl = vi.fn(async (url, options = {}) => {
+    calls.push({ url, options });
+    if (options.signal?.aborted) {
+      throw new DOMException("The operation was aborted.", "AbortError");
+    }
+    const { status = 200, body = {} } =
+      replies.length > 1 ? replies.shift() : replies[0];
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    return new Response(text, { status });
+  });
+  impl.calls = calls;
+  return impl;
+}
+
+function client(fetch, retries = 0) {
+  return createReportClient({
+    confirmUrl: "https://api.test/confirm",
+    statusUrl: "https://api.test/status",
+    presignUrl: "https://api.test/presign",
+    fetch,
+    retries,
+  });
+}
+
+async function classify(reply, opts) {
+  const result = await fetchJson("https://api.test/x", {}, fakeFetch(reply));
+  return classifyResponse(result, "Request failed", opts);
+}
+
+describe("classifyResponse", () => {
+  it("turns a non-2xx response into an http error with the server's message", async () => {
+    const err = await classify({ status: 503, body: { message: "Busy" } });
+    expect(err).toMatchObject({ kind: "http", status: 503, message: "Busy" });
+  });
+
+  it("turns ok:false into an api error", async () => {
+    const err = await classify({ body: { ok: false, error: "Not allowed" } });
+    expect(err).toMatchObject({
+      kind: "api",
+      status: 200,
+      message: "Not allowed",
+    });
+  });
+
+  it("turns an unparseable body into a parse error quoting it", async () => {
+    const err = await classify({ body: "<h1>502 Bad Gateway</h1>" });
+    expect(err).toMatchObject({ kind: "parse", status: 200 });
+    expect(err.message).toBe("<h1>502 Bad Gateway</h1>");
+    expect(err.data).toEqual({ raw: "<h1>502 Bad Gateway</h1>" });
+  });
+
+  it("requires ok:true unless told otherwise", async () => {
+    expect(await classify({ body: { url: "x" } })).toMatchObject({
+      kind: "api",
+    });
+    expect(
+      await classify({ body: { url: "x" } }, { requireOk: false })
+    ).toBeNull();
+    expect(await classify({ body: { ok: true } })).toBeNull();
+  });
+
+  it("classes a body cut off mid-read as a network error, and retries it", async () => {
+    let calls = 0;
+    const fetch = vi.fn(async () => {
+      calls++;
+      if (calls === 1) {
+        const res = new Response("{}");
+        res.text = () => Promise.reject(new TypeError("terminated"));
+        return res;
+      }
+      return new Response(JSON.stringify({ ok: true, status: "queued" }));
+    });
+    await expect(
+      fetchJson("https://api.test/x", {}, fetch)
+    ).rejects.toMatchObject({ kind: "network", message: "terminated" });
+
+    calls = 0;
+    vi.useFakeTimers();
+    try {
+      const st = client(fetch, 1).status({ userPhone: "99", instantId: "i1" });
+      await vi.runAllTimersAsync();
+      await expect(st).resolves.toMatchObject({ status: "queued" });
+      expect(calls).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("reads Retry-After on http errors", async () => {
+    const result = {
+      res: new Response("", { status: 429, headers: { "Retry-After": "3" } }),
+      data: {},
+      malformed: false,
+    };
+    expect(classifyResponse(result, "x").retryAfterMs).toBe(3000);
+  });
+});
+
+describe("response normalisers", () => {
+  it("reads camelCase and snake_case Confirm responses alike", () => {
+    const camel = normalizeConfirmResponse({
+      userPhone: "99",
+      instantId: "i1",
+      s3Key: "k",
+      createdAt: "t",
+    });
+    const snake = normalizeConfirmResponse({
+      user_phone: "99",
+      instant_id: "i1",
+      s3_key: "k",
+      created_at: "t",
+    });
+    for (const c of [camel, snake]) {
+      expect(c).toMatchObject({
+        userPhone: "99",
+        instantId: "i1",
+        s3Key: "k",
+        createdAt: "t",
+        status: "queued",
+      });
+    }
+  });
+
+  it("accepts every presigned URL spelling, and '' when there is none", () => {
+    for (const key of [
+      "presignedUrl",
+      "presigned_url",
+      "url",
+      "presignedURL",
+    ]) {
+      expect(normalizePresignResponse({ [key]: "https://s3/x" })).toBe(
+        "https://s3/x"
+      );
+    }
+    expect(normalizePresignResponse({ ok: true })).toBe("");
+    expect(normalizePresignResponse(null)).toBe("");
+  });
+
+  it("reads progress as a percentage unless it is a fraction", () => {
+    const progress = (data) => normalizeStatusResponse(data).progress;
+    expect(progress({ progress: 0 })).toBe(0);
+    expect(progress({ progress: 1 })).toBe(1);
+    expect(progress({ progress: 0.5 })).toBe(50);
+    expect(progress({ progress: 50 })).toBe(50);
+    expect(progress({ percent: "1" })).toBe(1);
+    expect(progress({ progressPct: 1 })).toBe(100);
+    expect(progress({ fraction: 0 })).toBe(0);
+    expect(progress({})).toBeNull();
+  });
+
+  it("lower-cases the status but keeps the raw one", () => {
+    const st = normalizeStatusResponse({
+      status: "RUNNING",
+      s3_key: "k",
+      progressPct: 0.4,
+      step: "Charts",
+      eta_seconds: "30",
+    });
+    expect(st).toMatchObject({
+      status: "running",
+      rawStatus: "RUNNING",
+      s3Key: "k",
+      progress: 40,
+      stage: "Charts",
+      etaSeconds: 30,
+    });
+  });
+});
+
+describe("pollStatus", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const ids = { userPhone: "99", instantId: "i1" };
+
+  it("resolves with the done status and sends the ids as query params", async () => {
+    const fetch = fakeFetch(
+      { body: { ok: true, status: "queued" } },
+      { body: { ok: true, status: "done", s3Key: "k" } }
+    );
+    const promise = pollStatus(client(fetch), ids);
+    await vi.runAllTimersAsync();
+    await expect(promise).resolves.toMatchObject({
+      status: "done",
+      s3Key: "k",
+    });
+    expect(fetch.calls[0].url).toBe(
+      "https://api.test/status?userPhone=99&instantId=i1"
+    );
+  });
+
+  it("rejects with the worker's error when the report fails", async () => {
+    const fetch = fakeFetch({
+      body: { ok: true, status: "failed", error: "Renderer crashed" },
+    });
+    await expect(pollStatus(client(fetch), ids)).rejects.toMatchObject({
+      kind: "failed",
+      message: "Renderer crashed",
+    });
+  });
+
+  it("times out at the deadline unless onDeadline says to keep waiting", async () => {
+    const fetch = fakeFetch({ body: { ok: true, status: "running" } });
+    const onDeadline = vi.fn(async () => onDeadline.mock.calls.length < 2);
+    const promise = pollStatus(client(fetch), ids, {
+      maxWaitMs: 10000,
+      onDeadline,
+    });
+    const settled = expect(promise).rejects.toMatchObject({ kind: "timeout" });
+    await vi.advanceTimersByTimeAsync(60000);
+    await settled;
+    expect(onDeadline).toHaveBeenCalledTimes(2);
+    expect(onDeadline.mock.calls[0][0].waitedMs).toBeGreaterThanOrEqual(10000);
+  });
+
+  it("times out at the deadline when there is no onDeadline", async () => {
+    const fetch = fakeFetch({ body: { ok: true, status: "queued" } });
+    const promise = pollStatus(client(fetch), ids, { maxWaitMs: 5000 });
+    const settled = expect(promise).rejects.toMatchObject({
+      kind: "timeout",
+      message: expect.stringMatching(/^Still running after \d+s/),
+    });
+    await vi.advanceTimersByTimeAsync(30000);
+    await settled;
+  });
+
+  it("stops with an aborted error while waiting between polls", async () => {
+    const fetch = fakeFetch({ body: { ok: true, status: "running" } });
+    const controller = new AbortController();
+    const promise = pollStatus(client(fetch), ids, {
+      signal: controller.signal,
+    });
+    const settled = expect(promise).rejects.toMatchObject({ kind: "aborted" });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await settled;
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects without calling Status when already aborted", async () => {
+    const fetch = fakeFetch({ body: { ok: true, status: "running" } });
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      pollStatus(client(fetch), ids, { signal: controller.signal })
+    ).rejects.toMatchObject({ kind: "aborted" });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,182 @@
+// Reviewer rubric: the criteria we score reports on, the per-report review
+// stored on each history item, and the averages shown in the summary view.
+
+const RUBRIC_KEY = "rbr_instant_lab_rubric_v1";
+
+export const SCORE_MIN = 1;
+export const SCORE_MAX = 5;
+
+/** @typedef {{ id: string, label: string }} Criterion */
+/**
+ * @typedef {Object} Review
+ * @property {Record<string, number>} scores  criterion id -> 1..5
+ * @property {string} notes
+ * @property {string} updatedAt
+ */
+
+export const DEFAULT_RUBRIC = [
+  { id: "accuracy", label: "Accuracy" },
+  { id: "depth", label: "Depth" },
+  { id: "charts", label: "Chart quality" },
+  { id: "formatting", label: "Formatting" },
+];
+
+function sanitizeRubric(list) {
+  if (!Array.isArray(list)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const c of list) {
+    const id = typeof c?.id === "string" ? c.id : "";
+    const label = (typeof c?.label === "string" && c.label.trim()) || id;
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    out.push({ id, label });
+  }
+  return out.length ? out : null;
+}
+
+export function loadRubric() {
+  try {
+    const raw = localStorage.getItem(RUBRIC_KEY);
+    return (raw && sanitizeRubric(JSON.parse(raw))) || DEFAULT_RUBRIC;
+  } catch {
+    return DEFAULT_RUBRIC;
+  }
+}
+
+export function saveRubric(rubric) {
+  try {
+    localStorage.setItem(RUBRIC_KEY, JSON.stringify(rubric));
+  } catch {
+    // ignore
+  }
+}
+
+/** Criterion ids are derived from the label once and never change, so a
+ * rename keeps existing scores attached. */
+export function addCriterion(rubric, label) {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "") || "criterion";
+  let id = base;
+  for (let n = 2; rubric.some((c) => c.id === id); n++) id = `${base}_${n}`;
+  return [...rubric, { id, label: label.trim() }];
+}
+
+export function renameCriterion(rubric, id, label) {
+  return rubric.map((c) => (c.id === id ? { ...c, label } : c));
+}
+
+/** Scores for removed criteria stay on the items but stop counting. */
+export function removeCriterion(rubric, id) {
+  return rubric.filter((c) => c.id !== id);
+}
+
+export function setScore(review, criterionId, score) {
+  const scores = { ...(review?.scores || {}) };
+  if (score === null) delete scores[criterionId];
+  else scores[criterionId] = score;
+  return { notes: "", ...review, scores, updatedAt: new Date().toISOString() };
+}
+
+export function setNotes(review, notes) {
+  return {
+    scores: {},
+    ...review,
+    notes,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/** Mean of the current rubric's criteria that were scored, or null. */
+export function averageScore(review, rubric) {
+  const values = rubric
+    .map((c) => review?.scores?.[c.id])
+    .filter((v) => typeof v === "number");
+  if (!values.length) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+export function isReviewed(item, rubric) {
+  return averageScore(item.review, rubric) !== null;
+}
+
+function weekStart(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+  return d;
+}
+
+function groupOf(item, groupBy) {
+  if (groupBy === "template") {
+    const t = item.template;
+    return t
+      ? { key: `${t.id}@${t.version}`, label: `${t.name} v${t.version}` }
+      : { key: "", label: "No template" };
+  }
+  if (groupBy === "week") {
+    const start = weekStart(item.createdAt || 0);
+    return {
+      key: start.toISOString(),
+      label: `Week of ${start.toLocaleDateString()}`,
+    };
+  }
+  const topic = String(item.topic || "").trim();
+  return { key: topic.toLowerCase(), label: topic || "(no topic)" };
+}
+
+/**
+ * Average reviewed items per group.
+ * @param {Object} opts
+ * @param {"topic"|"template"|"week"} opts.groupBy
+ * @param {string} [opts.from]  inclusive local date, YYYY-MM-DD
+ * @param {string} [opts.to]    inclusive local date, YYYY-MM-DD
+ * @returns {{ key: string, label: string, count: number, overall: number|null, byCriterion: Record<string, number|null> }[]}
+ */
+export function summarizeReviews(items, rubric, { groupBy, from, to }) {
+  const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  const groups = new Map();
+  for (const item of items) {
+    if (!isReviewed(item, rubric)) continue;
+    const at = new Date(item.createdAt || 0).getTime();
+    if (at < fromMs || at > toMs) continue;
+
+    const { key, label } = groupOf(item, groupBy);
+    if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+    groups.get(key).items.push(item);
+  }
+
+  const mean = (values) =>
+    values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+  const rows = [...groups.values()].map((g) => {
+    const byCriterion = {};
+    for (const c of rubric) {
+      byCriterion[c.id] = mean(
+        g.items
+          .map((x) => x.review?.scores?.[c.id])
+          .filter((v) => typeof v === "number")
+      );
+    }
+    return {
+      key: g.key,
+      label: g.label,
+      count: g.items.length,
+      overall: mean(g.items.map((x) => averageScore(x.review, rubric))),
+      byCriterion,
+    };
+  });
+
+  if (groupBy === "week") rows.sort((a, b) => a.key.localeCompare(b.key));
+  else rows.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  return rows;
+}
+
+export function formatScore(value) {
+  return value === null || value === undefined ? "–" : value.toFixed(1);
+}
@@ -0,0 +1,26 @@
+// Lightweight pub/sub used to keep PDF viewers on the same page/offset when
+// "lock scroll" is on. Positions go straight from one viewer to the others
+// without passing through React state, so scrolling doesn't re-render the app.
+
+/**
+ * @typedef {{ page: number, offset: number }} ScrollPosition
+ *   `page` is 1-based, `offset` is how far through that page (0–1).
+ */
+export function createScrollSync() {
+  const listeners = new Map(); // viewerId -> (pos: ScrollPosition) => void
+
+  function subscribe(viewerId, onPosition) {
+    listeners.set(viewerId, onPosition);
+    return () => {
+      if (listeners.get(viewerId) === onPosition) listeners.delete(viewerId);
+    };
+  }
+
+  function publish(sourceId, pos) {
+    for (const [id, fn] of listeners) {
+      if (id !== sourceId) fn(pos);
+    }
+  }
+
+  return { subscribe, publish };
+}
@@ -0,0 +1,165 @@
+// Keeps history consistent across tabs of the same browser.
+//
+// - Every local change stamps the item's `updatedAt`; after a tab writes its
+//   changes to IndexedDB it broadcasts them (new items whole, otherwise just
+//   the changed fields; call logs separately, in batches), and other tabs
+//   merge per item, keeping whichever copy is newer.
+// - A report is submitted and polled by one tab at a time, the one holding
+//   its job lock: a Web Lock per instantId, or per history item until
+//   Confirm has returned one (see `jobLockKey`). Other tabs wait on the lock
+//   and follow along through the broadcasts; if that tab closes, a waiting
+//   tab takes over from the last written state.
+//
+// Without BroadcastChannel / Web Locks every tab simply works on its own.
+
+const CHANNEL_NAME = "rbr_instant_lab_history";
+const LOCK_PREFIX = "rbr_instant_lab_job:";
+
+/** Stamp `updatedAt` on items that are new or changed (by identity) since `prev`. */
+export function stampUpdated(prev, next, at = new Date().toISOString()) {
+  const prevById = new Map(prev.map((x) => [x.id, x]));
+  let changed = false;
+  const stamped = next.map((item) => {
+    if (prevById.get(item.id) === item) return item;
+    changed = true;
+    return { ...item, updatedAt: at };
+  });
+  return changed ? stamped : next;
+}
+
+/**
+ * Apply another tab's changes. A remote item (or `patches` of changed
+ * fields) wins when it's newer, or we don't have the item; call logs replace
+ * ours; deletes always apply. Patches and logs for items we don't have are
+ * skipped. Returns `items` itself when nothing changed. New items are added
+ * in createdAt order.
+ */
+export function mergeRemote(
+  items,
+  { puts = [], patches = [], calls = [], deletes = [] }
+) {
+  const dropped = new Set(deletes);
+  const byId = new Map(items.map((x) => [x.id, x]));
+  const incoming = new Map();
+  const current = (id) => incoming.get(id) || byId.get(id);
+  for (const item of puts) {
+    const local = byId.get(item.id);
+    if (!local || (item.updatedAt || "") > (local.updatedAt || "")) {
+      // items are sent without their call log
+      incoming.set(
+        item.id,
+        local?.calls && !("calls" in item)
+          ? { ...item, calls: local.calls }
+          : item
+      );
+    }
+  }
+  for (const { id, fields } of patches) {
+    const local = current(id);
+    if (local && (fields.updatedAt || "") > (local.updatedAt || "")) {
+      incoming.set(id, { ...local, ...fields });
+    }
+  }
+  for (const log of calls) {
+    const local = current(log.id);
+    if (local && local.calls !== log.calls) {
+      incoming.set(log.id, { ...local, calls: log.calls });
+    }
+  }
+  if (!incoming.size && !items.some((x) => dropped.has(x.id))) return items;
+
+  const merged = items
+    .filter((x) => !dropped.has(x.id))
+    .map((x) => incoming.get(x.id) || x);
+  const added = [...incoming.values()].filter((x) => !byId.has(x.id));
+  if (!added.length) return merged;
+  return [...added, ...merged].sort(
+    (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+  );
+}
+
+/**
+ * `onHistory` gets other tabs' written changes (see `mergeRemote`);
+ * `onCancel` a request to stop a job this tab may be running (sent from a
+ * tab that is only following it).
+ * @param {{ onHistory: (diff: { puts: Object[], patches: { id: string, fields: Object }[], calls: { id: string, calls: Object[] }[], deletes: string[] }) => void, onCancel: (historyId: string) => void }} handlers
+ */
+export function createTabSync({ onHistory, onCancel }) {
+  if (typeof BroadcastChannel === "undefined") {
+    return { publish() {}, requestCancel() {}, close() {} };
+  }
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (e) => {
+    if (e.data?.type === "history") onHistory(e.data);
+    if (e.data?.type === "cancel") onCancel(e.data.historyId);
+  };
+  return {
+    publish({ puts = [], patches = [], calls = [], deletes = [] }) {
+      if (!puts.length && !patches.length && !calls.length && !deletes.length) {
+        return;
+      }
+      try {
+        channel.postMessage({ type: "history", puts, patches, calls, deletes });
+      } catch {
+        // ignore (e.g. an item that can't be cloned)
+      }
+    },
+    requestCancel(historyId) {
+      channel.postMessage({ type: "cancel", historyId });
+    },
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * The job lock an item's work goes under: its instantId once it has one (so
+ * two tabs that each opened the same report by link don't both poll it),
+ * otherwise its history id.
+ */
+export function jobLockKey(item) {
+  return item.instantId ? `instant:${item.instantId}` : `item:${item.id}`;
+}
+
+/**
+ * Take a job lock (keyed by `jobLockKey`). Resolves with a `release()` function,
+ * or null when another tab holds it (unless `wait`, which queues for it;
+ * aborting `signal` rejects). Without Web Locks every tab gets a no-op lock.
+ * @returns {Promise<(() => void) | null>}
+ */
+export function acquireJobLock(key, { wait = false, signal } = {}) {
+  if (typeof navigator === "undefined" || !navigator.locks) {
+    return Promise.resolve(() => {});
+  }
+  return new Promise((resolve, reject) => {
+    navigator.locks
+      .request(
+        `${LOCK_PREFIX}${key}`,
+        wait ? { signal } : { ifAvailable: true },
+        (lock) => {
+          if (!lock) {
+            resolve(null);
+            return undefined;
+          }
+          // Held until the caller releases it.
+          return new Promise((release) => resolve(release));
+        }
+      )
+      .catch(reject);
+  });
+}
+
+/** Keys of the job locks some tab (this one included) holds. */
+export async function heldJobLocks() {
+  if (typeof navigator === "undefined" || !navigator.locks) return new Set();
+  try {
+    const { held = [] } = await navigator.locks.query();
+    return new Set(
+      held
+        .map((lock) => lock.name || "")
+        .filter((name) => name.startsWith(LOCK_PREFIX))
+        .map((name) => name.slice(LOCK_PREFIX.length))
+    );
+  } catch {
+    return new Set();
+  }
+}
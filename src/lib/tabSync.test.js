@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { mergeRemote } from "./tabSync";
+
+const local = {
+  id: "a",
+  updatedAt: "2026-01-01T00:00:01Z",
+  status: "queued",
+  title: "Report",
+  calls: [{ endpoint: "confirm" }],
+};
+
+describe("mergeRemote", () => {
+  it("applies a newer patch over our copy, keeping the other fields", () => {
+    const [merged] = mergeRemote([local], {
+      patches: [
+        {
+          id: "a",
+          fields: { updatedAt: "2026-01-01T00:00:02Z", status: "running" },
+        },
+      ],
+    });
+    expect(merged).toEqual({
+      ...local,
+      updatedAt: "2026-01-01T00:00:02Z",
+      status: "running",
+    });
+  });
+
+  it("ignores older patches and patches for items we don't have", () => {
+    const items = [local];
+    expect(
+      mergeRemote(items, {
+        patches: [
+          { id: "a", fields: { updatedAt: "2026-01-01T00:00:00Z" } },
+          { id: "b", fields: { updatedAt: "2026-01-01T00:00:09Z" } },
+        ],
+      })
+    ).toBe(items);
+  });
+
+  it("replaces the call log, and keeps ours when an item comes without one", () => {
+    const log = [{ endpoint: "confirm" }, { endpoint: "status" }];
+    const [withLog] = mergeRemote([local], {
+      calls: [{ id: "a", calls: log }],
+    });
+    expect(withLog).toEqual({ ...local, calls: log });
+
+    const { calls, ...record } = local;
+    const [put] = mergeRemote([local], {
+      puts: [{ ...record, updatedAt: "2026-01-01T00:00:05Z" }],
+    });
+    expect(put.calls).toBe(calls);
+  });
+});
@@ -0,0 +1,115 @@
+// Prompt templates: a topic + question set stored locally with a version
+// history. Text may contain {{topic}}, {{country}} and {{year}} placeholders,
+// filled in at generation time.
+
+const TEMPLATES_KEY = "rbr_instant_lab_templates_v1";
+
+export const PLACEHOLDERS = ["topic", "country", "year"];
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g;
+
+export function loadTemplates() {
+  try {
+    const raw = localStorage.getItem(TEMPLATES_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveTemplates(templates) {
+  try {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  } catch {
+    // ignore
+  }
+}
+
+function newTemplateId() {
+  return `tpl-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+export function latestVersion(template) {
+  return template?.versions?.[template.versions.length - 1] || null;
+}
+
+export function findVersion(template, version) {
+  return template?.versions?.find((v) => v.version === version) || null;
+}
+
+export function sameContent(a, b) {
+  if (!a || !b) return false;
+  return (
+    a.topic === b.topic &&
+    a.questions.length === b.questions.length &&
+    a.questions.every((q, i) => q === b.questions[i])
+  );
+}
+
+export function createTemplate(name, { topic, questions }) {
+  const at = new Date().toISOString();
+  return {
+    id: newTemplateId(),
+    name,
+    createdAt: at,
+    updatedAt: at,
+    versions: [{ version: 1, topic, questions: [...questions], createdAt: at }],
+  };
+}
+
+/** Append a version unless the content matches the latest one. */
+export function addVersion(template, { topic, questions }) {
+  const latest = latestVersion(template);
+  if (sameContent(latest, { topic, questions })) return template;
+
+  const at = new Date().toISOString();
+  return {
+    ...template,
+    updatedAt: at,
+    versions: [
+      ...template.versions,
+      {
+        version: (latest?.version || 0) + 1,
+        topic,
+        questions: [...questions],
+        createdAt: at,
+      },
+    ],
+  };
+}
+
+export function renameTemplate(template, name) {
+  return { ...template, name, updatedAt: new Date().toISOString() };
+}
+
+/** Copy of the latest version as a fresh template (history starts at v1). */
+export function duplicateTemplate(template, name) {
+  const latest = latestVersion(template);
+  return createTemplate(name, {
+    topic: latest?.topic || "",
+    questions: latest?.questions || [],
+  });
+}
+
+/** Replace known placeholders; unknown or empty ones are left as-is. */
+export function fillPlaceholders(text, vars) {
+  return String(text || "").replace(PLACEHOLDER_RE, (match, key) => {
+    const v = vars[key.toLowerCase()];
+    return v === undefined || v === null || String(v).trim() === ""
+      ? match
+      : String(v).trim();
+  });
+}
+
+/** Names of placeholders still present in any of `texts`. */
+export function unfilledPlaceholders(texts) {
+  const names = new Set();
+  for (const t of texts) {
+    for (const m of String(t || "").matchAll(PLACEHOLDER_RE)) names.add(m[1]);
+  }
+  return [...names];
+}
@@ -0,0 +1,261 @@
+// Section-aware text diff for two generated reports. Both texts are cut into
+// sections at the questions they were generated from, sections are paired by
+// question position, and each pair is diffed paragraph by paragraph (LCS),
+// with word-level detail for paragraphs that changed rather than moved.
+
+// Above this many LCS cells we give up on alignment and show remove/add.
+const MAX_LCS_CELLS = 400000;
+const ANCHOR_MIN_OVERLAP = 0.7;
+const CHANGED_MIN_SIMILARITY = 0.3;
+
+export function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}%.]+/gu, " ")
+    .replace(/(^|\s)\.+|\.+(\s|$)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function words(text) {
+  return normalizeText(text).split(" ").filter(Boolean);
+}
+
+function similarity(a, b) {
+  const wa = new Set(words(a));
+  const wb = new Set(words(b));
+  if (!wa.size && !wb.size) return 1;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+export function hasNumber(text) {
+  return /\d/.test(text);
+}
+
+// Does this paragraph look like the heading for `question`? Reports usually
+// repeat the question (sometimes numbered or lightly reworded) as a heading.
+function isAnchor(paragraph, question) {
+  const qWords = words(question).filter((w) => w.length > 2);
+  if (!qWords.length) return false;
+  if (paragraph.length > question.length * 2.5 + 40) return false;
+  const pWords = new Set(words(paragraph));
+  const hits = qWords.filter((w) => pWords.has(w)).length;
+  return hits / qWords.length >= ANCHOR_MIN_OVERLAP;
+}
+
+/**
+ * Split paragraphs into sections, one per question (in order), plus a leading
+ * section for anything before the first question.
+ * @returns {{ index: number, heading: string, found: boolean, paragraphs: string[] }[]}
+ *   `index` is -1 for the leading section.
+ */
+export function splitSections(paragraphs, questions = []) {
+  const anchors = [];
+  let from = 0;
+  questions.forEach((q, qi) => {
+    for (let i = from; i < paragraphs.length; i++) {
+      if (isAnchor(paragraphs[i], q)) {
+        anchors.push({ qi, at: i });
+        from = i + 1;
+        return;
+      }
+    }
+  });
+
+  const sections = [
+    {
+      index: -1,
+      heading: "Before the first question",
+      found: true,
+      paragraphs: paragraphs.slice(0, anchors[0]?.at ?? paragraphs.length),
+    },
+  ];
+  questions.forEach((q, qi) => {
+    const k = anchors.findIndex((a) => a.qi === qi);
+    if (k === -1) {
+      sections.push({ index: qi, heading: q, found: false, paragraphs: [] });
+      return;
+    }
+    const end = anchors[k + 1]?.at ?? paragraphs.length;
+    sections.push({
+      index: qi,
+      heading: q,
+      found: true,
+      paragraphs: paragraphs.slice(anchors[k].at + 1, end),
+    });
+  });
+  return sections;
+}
+
+/**
+ * Longest-common-subsequence diff of two arrays.
+ * @returns {{ type: "same"|"removed"|"added", a?: number, b?: number }[]}
+ *   `a`/`b` are indexes into the left/right arrays.
+ */
+export function diffSequence(left, right, equals = (x, y) => x === y) {
+  const n = left.length;
+  const m = right.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return [
+      ...left.map((_, a) => ({ type: "removed", a })),
+      ...right.map((_, b) => ({ type: "added", b })),
+    ];
+  }
+
+  // lengths[i][j] = LCS of left[i:] and right[j:]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = equals(left[i], right[j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equals(left[i], right[j])) {
+      ops.push({ type: "same", a: i++, b: j++ });
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: "removed", a: i++ });
+    } else {
+      ops.push({ type: "added", b: j++ });
+    }
+  }
+  while (i < n) ops.push({ type: "removed", a: i++ });
+  while (j < m) ops.push({ type: "added", b: j++ });
+  return ops;
+}
+
+/**
+ * Word-level diff, coalesced into runs. Runs that contain digits are flagged
+ * so changed figures can be highlighted more strongly than changed wording.
+ * @returns {{ type: "same"|"removed"|"added", text: string, number: boolean }[]}
+ */
+export function diffWords(left, right) {
+  const a = String(left || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const b = String(right || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const ops = diffSequence(
+    a,
+    b,
+    (x, y) => normalizeText(x) === normalizeText(y)
+  );
+
+  const runs = [];
+  for (const op of ops) {
+    const text = op.type === "added" ? b[op.b] : a[op.a];
+    const number = op.type !== "same" && hasNumber(text);
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type && last.number === number) {
+      last.text += ` ${text}`;
+    } else {
+      runs.push({ type: op.type, text, number });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Paragraph diff of one section. Removed/added paragraphs that sit between
+ * the same neighbours and are similar enough are reported as "changed".
+ * @returns {{ type: "same"|"removed"|"added"|"changed", left?: string, right?: string, words?: ReturnType<typeof diffWords> }[]}
+ */
+export function diffParagraphs(left, right) {
+  const ops = diffSequence(left.map(normalizeText), right.map(normalizeText));
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  function flushRun() {
+    const pairs = Math.min(removed.length, added.length);
+    let r = 0;
+    let a = 0;
+    // pair in order while they look like edits of each other
+    while (r < removed.length || a < added.length) {
+      const l = removed[r];
+      const rt = added[a];
+      if (
+        r < pairs &&
+        a < pairs &&
+        similarity(l, rt) >= CHANGED_MIN_SIMILARITY
+      ) {
+        rows.push({
+          type: "changed",
+          left: l,
+          right: rt,
+          words: diffWords(l, rt),
+        });
+        r++;
+        a++;
+      } else if (r < removed.length) {
+        rows.push({ type: "removed", left: removed[r++] });
+      } else {
+        rows.push({ type: "added", right: added[a++] });
+      }
+    }
+    removed = [];
+    added = [];
+  }
+
+  for (const op of ops) {
+    if (op.type === "removed") removed.push(left[op.a]);
+    else if (op.type === "added") added.push(right[op.b]);
+    else {
+      flushRun();
+      rows.push({ type: "same", left: left[op.a], right: right[op.b] });
+    }
+  }
+  flushRun();
+  return rows;
+}
+
+/**
+ * Diff two reports section by section.
+ * @returns {{ index: number, leftHeading: string, rightHeading: string, missing: ""|"left"|"right"|"both", rows: ReturnType<typeof diffParagraphs>, counts: { added: number, removed: number, changed: number } }[]}
+ */
+export function diffReports(
+  { paragraphs: leftParagraphs, questions: leftQuestions = [] },
+  { paragraphs: rightParagraphs, questions: rightQuestions = [] }
+) {
+  const leftSections = splitSections(leftParagraphs, leftQuestions);
+  const rightSections = splitSections(rightParagraphs, rightQuestions);
+  const count = Math.max(leftSections.length, rightSections.length);
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const l = leftSections[i];
+    const r = rightSections[i];
+    const leftFound = !!l?.found;
+    const rightFound = !!r?.found;
+    const rows = diffParagraphs(l?.paragraphs || [], r?.paragraphs || []);
+    const counts = { added: 0, removed: 0, changed: 0 };
+    for (const row of rows) if (row.type !== "same") counts[row.type]++;
+
+    out.push({
+      index: (l || r).index,
+      leftHeading: l?.heading || "",
+      rightHeading: r?.heading || "",
+      missing:
+        !leftFound && !rightFound
+          ? "both"
+          : !leftFound
+          ? "left"
+          : !rightFound
+          ? "right"
+          : "",
+      rows,
+      counts,
+    });
+  }
+  return out;
+}
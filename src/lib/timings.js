@@ -0,0 +1,65 @@
+// Stage milestones stamped on a history item as `timings` (ISO strings).
+// Each milestone is recorded the first time it is observed. Status changes
+// are only seen when we poll, so queued/running are accurate to one poll
+// interval. Time spent waiting for a free slot in the local job queue is not
+// counted: `submittedAt` is when Confirm is actually sent.
+
+export const STAGES = [
+  { key: "submit", label: "Submit", from: "submittedAt", to: "confirmedAt" },
+  { key: "queued", label: "Queued", from: "confirmedAt", to: "runningAt" },
+  { key: "running", label: "Running", from: "runningAt", to: "doneAt" },
+  { key: "presign", label: "Presign", from: "doneAt", to: "presignedAt" },
+];
+
+const WAITING_STATUSES = ["", "unknown", "pending", "submitting", "queued"];
+
+/**
+ * Milestones implied by a (lower-cased) report status. A report seen going
+ * straight from queued to done is treated as having started running then.
+ */
+export function statusMilestones(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "done") return ["runningAt", "doneAt"];
+  if (s === "failed") return ["failedAt"];
+  if (s === "cancelled" || WAITING_STATUSES.includes(s)) return [];
+  return ["runningAt"];
+}
+
+/** Stamp the milestones that aren't set yet. Same object back if nothing changed. */
+export function markTimings(timings, milestones, at) {
+  const missing = milestones.filter((m) => !timings?.[m]);
+  if (!missing.length) return timings;
+  const next = { ...timings };
+  missing.forEach((m) => (next[m] = at));
+  return next;
+}
+
+function span(timings, from, to) {
+  const a = Date.parse(timings?.[from] || "");
+  const b = Date.parse(timings?.[to] || "");
+  return Number.isFinite(a) && Number.isFinite(b) && b >= a ? b - a : null;
+}
+
+/**
+ * Durations in ms per stage, plus `total` (Confirm sent -> link ready).
+ * A stage is null when either end wasn't observed (e.g. resumed after a
+ * reload, or created before timings were recorded).
+ * @returns {{ submit: number|null, queued: number|null, running: number|null, presign: number|null, total: number|null }}
+ */
+export function stageDurations(item) {
+  const out = {};
+  for (const stage of STAGES) {
+    out[stage.key] = span(item.timings, stage.from, stage.to);
+  }
+  out.total = span(item.timings, "submittedAt", "presignedAt");
+  return out;
+}
+
+/** "850 ms", "12.3 s", "2m 05s" */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) return "–";
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+}
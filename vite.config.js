@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockBackend from './mock/mockBackend.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // mockBackend only runs under `vite` (dev), never in the build
+  plugins: [react(), mockBackend()],
 })